@@ -11,6 +11,8 @@ let api = null;
 let isProcessing = false;
 
 const CHAT_DOCMEM_ID = 'chat_session';
+// Token budget for the message list sent to the LLM; lower-priority and older nodes are dropped past it
+const CHAT_CONTEXT_MAX_TOKENS = 100000;
 
 /**
  * Initialize chat interface
@@ -52,8 +54,13 @@ function initChat() {
             if (apiKey && newModel) {
                 api = new OpenRouterAPI(apiKey, newModel);
                 sessionStorage.setItem('chat_model', newModel);
+                const previousFamily = getActiveTokenizerFamily();
+                setActiveTokenizer(tokenizerFamilyForModel(newModel));
                 const modelLabel = modelSelect.options[modelSelect.selectedIndex].text;
-                window.showMessage(`Model changed to ${modelLabel}`, 'info');
+                const recountHint = getActiveTokenizerFamily() !== previousFamily
+                    ? ` (tokenizer ${getActiveTokenizerFamily()}; run docmem-recount to update stored counts)`
+                    : '';
+                window.showMessage(`Model changed to ${modelLabel}${recountHint}`, 'info');
             }
         }
     });
@@ -121,8 +128,9 @@ async function startChatSession() {
         // Store model in sessionStorage
         sessionStorage.setItem('chat_model', model);
 
-        // Initialize API
+        // Initialize API, counting new nodes' tokens the way this model does
         api = new OpenRouterAPI(apiKey, model);
+        setActiveTokenizer(tokenizerFamilyForModel(model));
 
         // Fetch system text from fai_bash_root.txt
         const systemText = await fetchSystemText();
@@ -181,7 +189,7 @@ async function sendMessage() {
         chatInput.value = '';
 
         // Build message list for LLM
-        const messages = chatSession.buildMessageList();
+        const messages = chatSession.buildMessageList(CHAT_CONTEXT_MAX_TOKENS, api.model);
 
         // Call LLM
         const response = await api.chat(messages);
@@ -235,7 +243,7 @@ async function sendContinueMessage() {
         appendToChatDisplay(`user> ${message}`);
 
         // Build message list for LLM
-        const messages = chatSession.buildMessageList();
+        const messages = chatSession.buildMessageList(CHAT_CONTEXT_MAX_TOKENS, api.model);
 
         // Call LLM
         const response = await api.chat(messages);
@@ -264,20 +272,165 @@ async function sendContinueMessage() {
  */
 function extractRunSections(text) {
     const commands = [];
-    // Match # Run heading followed by ```bash ... ```
-    const runSectionPattern = /#\s+Run\s*\n```bash\s*\n([\s\S]*?)```/gi;
+    // Match # Run heading followed by ```bash, then find the closing fence
+    const runSectionPattern = /#\s+Run\s*\n```bash\s*\n/gi;
     
     let match;
     while ((match = runSectionPattern.exec(text)) !== null) {
-        const commandText = match[1].trim();
+        const bodyStart = match.index + match[0].length;
+        const bodyEnd = findRunSectionEnd(text, bodyStart);
+        if (bodyEnd === -1) {
+            break;
+        }
+        const commandText = text.substring(bodyStart, bodyEnd).trim();
         if (commandText) {
             commands.push(commandText);
         }
+        runSectionPattern.lastIndex = bodyEnd + 3;
     }
     
     return commands;
 }
 
+/**
+ * Find the ``` that closes a # Run block
+ * Triple backticks also quote arguments (e.g. docmem-batch), so a ``` only closes
+ * the block when it starts a line and is not closing an open argument.
+ * @returns {number} - Index of the closing ```, or -1 if the block is unterminated
+ */
+function findRunSectionEnd(text, start) {
+    let insideArgument = false;
+    let index = text.indexOf('```', start);
+    while (index !== -1) {
+        const atLineStart = index === start || text[index - 1] === '\n';
+        if (!insideArgument && atLineStart) {
+            return index;
+        }
+        insideArgument = !insideArgument;
+        index = text.indexOf('```', index + 3);
+    }
+    return -1;
+}
+
+// Mutating commands whose first argument is the node they change; these accept --expect options
+const HASH_CHECKED_COMMANDS = [
+    'docmem-append-child',
+    'docmem-insert-before',
+    'docmem-insert-after',
+    'docmem-update-content',
+    'docmem-update-context',
+    'docmem-delete',
+    'docmem-revert',
+    'docmem-reorder',
+    'docmem-unsummarize',
+    'docmem-move-append-child',
+    'docmem-move-before',
+    'docmem-move-after'
+];
+
+/**
+ * Take leading --expect=<hash> and --expect-subtree=<hash> options off a command's arguments
+ * @returns {{expected: {hash: string, subtreeHash: string}, restArgs: string[]}}
+ */
+function takeExpectOptions(args) {
+    const expected = {};
+    let index = 0;
+    while (index < args.length) {
+        const match = /^--expect(-subtree)?=(.+)$/.exec(args[index]);
+        if (!match) {
+            break;
+        }
+        if (match[1]) {
+            expected.subtreeHash = match[2];
+        } else {
+            expected.hash = match[2];
+        }
+        index++;
+    }
+    return { expected, restArgs: args.slice(index) };
+}
+
+// Commands that create a node; these accept a --ttl=<duration> option
+const TTL_COMMANDS = ['docmem-append-child', 'docmem-insert-before', 'docmem-insert-after'];
+
+/**
+ * Take a --ttl=<duration> option from among a command's leading options
+ * @returns {{ttl: string|null, restArgs: string[]}}
+ */
+function takeTtlOption(args) {
+    let ttl = null;
+    const restArgs = [...args];
+    for (let index = 0; index < restArgs.length && restArgs[index].startsWith('--');) {
+        const match = /^--ttl=(.+)$/.exec(restArgs[index]);
+        if (match) {
+            ttl = match[1];
+            restArgs.splice(index, 1);
+        } else {
+            index++;
+        }
+    }
+    return { ttl, restArgs };
+}
+
+/**
+ * Split the body of a docmem-batch into parsed commands, one per line
+ * A line that leaves a quote open (multi-line content) is joined with the following lines.
+ */
+function splitBatchCommands(text) {
+    const commandList = [];
+    let pending = '';
+    for (const line of text.split('\n')) {
+        pending = pending ? `${pending}\n${line}` : line;
+        if (endsInsideQuote(pending)) {
+            continue;
+        }
+        const args = parseCommand(pending);
+        if (args.length > 0) {
+            commandList.push({ command: pending.trim(), args });
+        }
+        pending = '';
+    }
+    if (pending.trim()) {
+        throw new Error(`Unterminated quote in docmem-batch command: ${pending.trim()}`);
+    }
+    return commandList;
+}
+
+/**
+ * Check whether a command line ends inside an open quote
+ * Follows the quoting rules in bash/SPEC_COMMAND_PARSER.md.
+ */
+function endsInsideQuote(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote === '```') {
+            if (text.startsWith('```', i)) {
+                quote = null;
+                i += 2;
+            }
+        } else if (quote === "'") {
+            if (char === "'") {
+                quote = null;
+            }
+        } else if (quote === '"') {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                quote = null;
+            }
+        } else if (text.startsWith('```', i)) {
+            quote = '```';
+            i += 2;
+        } else if (char === '\\') {
+            i++;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        }
+    }
+    return quote !== null;
+}
+
 /**
  * Execute a parsed docmem command
  */
@@ -287,19 +440,40 @@ async function executeDocmemCommand(args, docmem) {
     }
     
     const command = args[0];
-    const restArgs = args.slice(1);
+    const { ttl, restArgs: optionArgs } = takeTtlOption(args.slice(1));
+    const { expected, restArgs } = takeExpectOptions(optionArgs);
     
     // Commands that don't require a docmem instance
-    const staticCommands = ['docmem-get-all-roots', 'docmem-create'];
+    const staticCommands = ['docmem-get-all-roots', 'docmem-create', 'docmem-fsck', 'docmem-search', 'docmem-backlinks', 'docmem-tags', 'docmem-trash-list'];
     const needsDocmem = !staticCommands.includes(command);
     
     if (needsDocmem && !docmem) {
         throw new Error(`Command ${command} requires an active docmem instance`);
     }
     
+    // Revisions made by these commands are attributed to the agent
+    const previousOrigin = docmem ? docmem.origin : null;
+    if (docmem) {
+        docmem.origin = 'agent';
+    }
+    
     try {
         const commands = new DocmemCommands(docmem);
         
+        if (ttl && !TTL_COMMANDS.includes(command)) {
+            throw new Error(`${command} does not accept --ttl`);
+        }
+        
+        if (expected.hash || expected.subtreeHash) {
+            if (!HASH_CHECKED_COMMANDS.includes(command)) {
+                throw new Error(`${command} does not accept --expect or --expect-subtree`);
+            }
+            if (restArgs.length < 1) {
+                throw new Error(`${command} requires <node_id>`);
+            }
+            commands.checkExpectedHash(command, restArgs[0], expected);
+        }
+        
         switch (command) {
             case 'docmem-create': {
                 if (restArgs.length < 1) {
@@ -311,7 +485,7 @@ async function executeDocmemCommand(args, docmem) {
             
             case 'docmem-append-child': {
                 if (restArgs.length < 4) {
-                    throw new Error('docmem-append-child requires <node_id> <context_type> <context_name> <context_value> [<content>]');
+                    throw new Error('docmem-append-child requires [--ttl=<duration>] <node_id> <context_type> <context_name> <context_value> [<content>]');
                 }
                 const nodeId = restArgs[0];
                 const contextType = restArgs[1];
@@ -320,12 +494,12 @@ async function executeDocmemCommand(args, docmem) {
                 // Content can be empty - join remaining args (if any) and trim leading/trailing newlines
                 // Note: Empty strings are filtered out by the parser, so if content was "", restArgs.length will be 4
                 const content = restArgs.length > 4 ? restArgs.slice(4).join(' ').replace(/^\n+|\n+$/g, '') : '';
-                return commands.appendChild(nodeId, contextType, contextName, contextValue, content);
+                return commands.appendChild(nodeId, contextType, contextName, contextValue, content, ttl);
             }
             
             case 'docmem-insert-before': {
                 if (restArgs.length < 4) {
-                    throw new Error('docmem-insert-before requires <node_id> <context_type> <context_name> <context_value> [<content>]');
+                    throw new Error('docmem-insert-before requires [--ttl=<duration>] <node_id> <context_type> <context_name> <context_value> [<content>]');
                 }
                 const nodeId = restArgs[0];
                 const contextType = restArgs[1];
@@ -334,12 +508,12 @@ async function executeDocmemCommand(args, docmem) {
                 // Content can be empty - join remaining args (if any) and trim leading/trailing newlines
                 // Note: Empty strings are filtered out by the parser, so if content was "", restArgs.length will be 4
                 const content = restArgs.length > 4 ? restArgs.slice(4).join(' ').replace(/^\n+|\n+$/g, '') : '';
-                return commands.insertBefore(nodeId, contextType, contextName, contextValue, content);
+                return commands.insertBefore(nodeId, contextType, contextName, contextValue, content, ttl);
             }
             
             case 'docmem-insert-after': {
                 if (restArgs.length < 4) {
-                    throw new Error('docmem-insert-after requires <node_id> <context_type> <context_name> <context_value> [<content>]');
+                    throw new Error('docmem-insert-after requires [--ttl=<duration>] <node_id> <context_type> <context_name> <context_value> [<content>]');
                 }
                 const nodeId = restArgs[0];
                 const contextType = restArgs[1];
@@ -348,7 +522,7 @@ async function executeDocmemCommand(args, docmem) {
                 // Content can be empty - join remaining args (if any) and trim leading/trailing newlines
                 // Note: Empty strings are filtered out by the parser, so if content was "", restArgs.length will be 4
                 const content = restArgs.length > 4 ? restArgs.slice(4).join(' ').replace(/^\n+|\n+$/g, '') : '';
-                return commands.insertAfter(nodeId, contextType, contextName, contextValue, content);
+                return commands.insertAfter(nodeId, contextType, contextName, contextValue, content, ttl);
             }
             
             case 'docmem-update-content': {
@@ -381,6 +555,23 @@ async function executeDocmemCommand(args, docmem) {
                 return commands.find(nodeId);
             }
             
+            case 'docmem-history': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-history requires <node_id>');
+                }
+                const nodeId = restArgs[0];
+                return commands.history(nodeId);
+            }
+            
+            case 'docmem-revert': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-revert requires <node_id> <revision>');
+                }
+                const nodeId = restArgs[0];
+                const revision = restArgs[1];
+                return commands.revert(nodeId, revision);
+            }
+            
             case 'docmem-delete': {
                 if (restArgs.length < 1) {
                     throw new Error('docmem-delete requires <node_id>');
@@ -389,6 +580,24 @@ async function executeDocmemCommand(args, docmem) {
                 return commands.delete(nodeId);
             }
             
+            case 'docmem-trash-list': {
+                return commands.trashList(restArgs[0]);
+            }
+            
+            case 'docmem-restore': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-restore requires <node_id>');
+                }
+                return commands.restore(restArgs[0]);
+            }
+            
+            case 'docmem-purge': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-purge requires <root_id|node_id>');
+                }
+                return commands.purge(restArgs[0]);
+            }
+            
             case 'docmem-serialize': {
                 if (restArgs.length < 1) {
                     throw new Error('docmem-serialize requires <node_id>');
@@ -397,6 +606,27 @@ async function executeDocmemCommand(args, docmem) {
                 return commands.serialize(nodeId);
             }
             
+            case 'docmem-select': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-select requires <root_id> <filter>');
+                }
+                return commands.select(restArgs[0], restArgs.slice(1).join(' '));
+            }
+            
+            case 'docmem-recount': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-recount requires <root_id> [tokenizer]');
+                }
+                return commands.recount(restArgs[0], restArgs[1]);
+            }
+            
+            case 'docmem-stats': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-stats requires <node_id>');
+                }
+                return commands.stats(restArgs[0]);
+            }
+            
             case 'docmem-structure': {
                 if (restArgs.length < 1) {
                     throw new Error('docmem-structure requires <node_id>');
@@ -414,6 +644,39 @@ async function executeDocmemCommand(args, docmem) {
                 return commands.expandToLength(nodeId, maxTokensArg);
             }
             
+            case 'docmem-query': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-query requires <root_id> <text> [<k>]');
+                }
+                const rootId = restArgs[0];
+                const text = restArgs[1];
+                const k = restArgs[2];
+                return commands.query(rootId, text, k);
+            }
+            
+            case 'docmem-search': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-search requires <node_id|*> <terms>');
+                }
+                const scopeId = restArgs[0];
+                const terms = restArgs.slice(1).join(' ');
+                return commands.search(scopeId, terms);
+            }
+            
+            case 'docmem-backlinks': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-backlinks requires <tag|node_id>');
+                }
+                return commands.backlinks(restArgs[0]);
+            }
+            
+            case 'docmem-tags': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-tags requires <node_id>');
+                }
+                return commands.tags(restArgs[0]);
+            }
+            
             case 'docmem-add-summary': {
                 if (restArgs.length < 5) {
                     throw new Error('docmem-add-summary requires <context_type> <context_name> <context_value> <content> [<node_ids>...]');
@@ -430,6 +693,136 @@ async function executeDocmemCommand(args, docmem) {
                 return commands.addSummary(contextType, contextName, contextValue, content, nodeIds);
             }
             
+            case 'docmem-summarize-span': {
+                if (restArgs.length < 6) {
+                    throw new Error('docmem-summarize-span requires <start_id> <end_id> <context_type> <context_name> <context_value> <content>');
+                }
+                const startId = restArgs[0];
+                const endId = restArgs[1];
+                const contextType = restArgs[2];
+                const contextName = restArgs[3];
+                const contextValue = restArgs[4];
+                const content = restArgs.slice(5).join(' ').replace(/^\n+|\n+$/g, '');
+                return commands.summarizeSpan(startId, endId, contextType, contextName, contextValue, content);
+            }
+            
+            case 'docmem-unsummarize': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-unsummarize requires <summary_id> [--keep]');
+                }
+                const summaryId = restArgs[0];
+                const option = restArgs[1];
+                return commands.unsummarize(summaryId, option);
+            }
+            
+            case 'docmem-set-priority': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-set-priority requires <node_id> <level>');
+                }
+                const nodeId = restArgs[0];
+                const level = restArgs[1];
+                return commands.setPriority(nodeId, level);
+            }
+            
+            case 'docmem-set-ttl': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-set-ttl requires <node_id> <duration|none>');
+                }
+                return commands.setTtl(restArgs[0], restArgs[1]);
+            }
+            
+            case 'docmem-sweep': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-sweep requires <root_id> [--collapse]');
+                }
+                return commands.sweep(restArgs[0], restArgs[1]);
+            }
+            
+            case 'docmem-stick': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-stick requires <start_id> <end_id>');
+                }
+                const startId = restArgs[0];
+                const endId = restArgs[1];
+                return commands.stick(startId, endId);
+            }
+            
+            case 'docmem-unstick': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-unstick requires <node_id>');
+                }
+                const nodeId = restArgs[0];
+                return commands.unstick(nodeId);
+            }
+            
+            case 'docmem-lock-context': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-lock-context requires <root_id> <schema>');
+                }
+                const rootId = restArgs[0];
+                const schema = restArgs.slice(1).join(' ');
+                return commands.lockContext(rootId, schema);
+            }
+            
+            case 'docmem-unlock-context': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-unlock-context requires <root_id>');
+                }
+                const rootId = restArgs[0];
+                return commands.unlockContext(rootId);
+            }
+            
+            case 'docmem-context-schema': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-context-schema requires <root_id>');
+                }
+                const rootId = restArgs[0];
+                return commands.contextSchema(rootId);
+            }
+            
+            case 'docmem-copy': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-copy requires <node_id> <target_parent_id> [--record-source]');
+                }
+                const nodeId = restArgs[0];
+                const targetParentId = restArgs[1];
+                return commands.copy(nodeId, targetParentId, restArgs[2]);
+            }
+            
+            case 'docmem-fork': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-fork requires <root_id> <new_root_id> [--record-source]');
+                }
+                const rootId = restArgs[0];
+                const newRootId = restArgs[1];
+                return commands.fork(rootId, newRootId, restArgs[2]);
+            }
+            
+            case 'docmem-diff': {
+                if (restArgs.length < 2) {
+                    throw new Error('docmem-diff requires <node_id_a> <node_id_b>');
+                }
+                const aId = restArgs[0];
+                const bId = restArgs[1];
+                return commands.diff(aId, bId);
+            }
+            
+            case 'docmem-undo': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-undo requires <root_id>');
+                }
+                const rootId = restArgs[0];
+                return commands.undo(rootId);
+            }
+            
+            case 'docmem-redo': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-redo requires <root_id>');
+                }
+                const rootId = restArgs[0];
+                return commands.redo(rootId);
+            }
+            
             case 'docmem-move-append-child': {
                 if (restArgs.length < 2) {
                     throw new Error('docmem-move-append-child requires <node_id> <target_parent_id>');
@@ -457,15 +850,39 @@ async function executeDocmemCommand(args, docmem) {
                 return commands.moveAfter(nodeId, targetNodeId);
             }
             
+            case 'docmem-reorder': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-reorder requires <parent_id>');
+                }
+                const parentId = restArgs[0];
+                return commands.reorder(parentId);
+            }
+            
+            case 'docmem-batch': {
+                if (restArgs.length < 1) {
+                    throw new Error('docmem-batch requires <commands>');
+                }
+                const commandList = splitBatchCommands(restArgs.join(' '));
+                return await commands.batch(commandList, subArgs => executeDocmemCommand(subArgs, docmem));
+            }
+            
             case 'docmem-get-all-roots': {
                 return commands.getAllRoots();
             }
             
+            case 'docmem-fsck': {
+                return commands.fsck(restArgs[0]);
+            }
+            
             default:
                 return { success: false, result: `Unknown command: ${command}` };
         }
     } catch (error) {
         return { success: false, result: `Error: ${error.message}` };
+    } finally {
+        if (docmem) {
+            docmem.origin = previousOrigin;
+        }
     }
 }
 
@@ -584,7 +1001,7 @@ async function processCommands(responseText, depth = 0) {
         // Only invoke the model again if we haven't exceeded the depth limit (max 3 rounds)
         if (depth < 3) {
             // Build message list for LLM
-            const messages = chatSession.buildMessageList();
+            const messages = chatSession.buildMessageList(CHAT_CONTEXT_MAX_TOKENS, api.model);
             
             // Call LLM again
             const response = await api.chat(messages);
@@ -1,5 +1,5 @@
 class Node {
-    constructor(nodeId, parentId, text, order, tokenCount = null, createdAt = null, updatedAt = null, contextType, contextName, contextValue) {
+    constructor(nodeId, parentId, text, order, tokenCount = null, createdAt = null, updatedAt = null, contextType, contextName, contextValue, priority = 'normal', stickyGroup = null, copiedFrom = null, expiresAt = null, tokenizer = null) {
         if (!contextType || !contextName || !contextValue) {
             throw new Error('contextType, contextName, and contextValue are required');
         }
@@ -8,55 +8,38 @@ class Node {
         this.text = text;
         this.order = order;
         this.tokenCount = tokenCount !== null ? tokenCount : this._countTokens(text);
+        // Tokenizer family that produced tokenCount; null when a given count has no recorded family
+        this.tokenizer = tokenCount !== null ? tokenizer || null : getActiveTokenizerFamily();
         this.createdAt = createdAt || new Date().toISOString();
         this.updatedAt = updatedAt || new Date().toISOString();
         this.contextType = contextType;
         this.contextName = contextName;
         this.contextValue = contextValue;
+        this.priority = priority || 'normal';
+        this.stickyGroup = stickyGroup || null;
+        this.copiedFrom = copiedFrom || null;
+        this.expiresAt = expiresAt || null;
     }
 
     _countTokens(text) {
-        if (!text) return 0;
-        try {
-            // Try gpt-tokenizer from CDN - check various possible global names
-            if (typeof gptTokenizer !== 'undefined') {
-                if (typeof gptTokenizer.encode === 'function') {
-                    return gptTokenizer.encode(text).length;
-                } else if (typeof gptTokenizer === 'function') {
-                    // If it's a constructor, instantiate it
-                    const tokenizer = new gptTokenizer();
-                    if (tokenizer && typeof tokenizer.encode === 'function') {
-                        return tokenizer.encode(text).length;
-                    }
-                }
-            }
-            if (typeof GPTTokenizer !== 'undefined') {
-                if (typeof GPTTokenizer.encode === 'function') {
-                    return GPTTokenizer.encode(text).length;
-                } else if (typeof GPTTokenizer === 'function') {
-                    const tokenizer = new GPTTokenizer();
-                    if (tokenizer && typeof tokenizer.encode === 'function') {
-                        return tokenizer.encode(text).length;
-                    }
-                }
-            }
-            if (typeof window !== 'undefined') {
-                if (window.gptTokenizer && typeof window.gptTokenizer.encode === 'function') {
-                    return window.gptTokenizer.encode(text).length;
-                }
-            }
-            // Try tiktoken
-            if (typeof tiktoken !== 'undefined') {
-                const encoding = tiktoken.get_encoding('cl100k_base');
-                return encoding.encode(text).length;
-            }
-            // Fallback to approximation
-            console.warn('Tokenizer not available, using approximation (characters / 4)');
-            return Math.ceil(text.length / 4);
-        } catch (e) {
-            console.warn('Tokenizer error, using approximation:', e);
-            return Math.ceil(text.length / 4);
-        }
+        return countTokens(text);
+    }
+
+    /**
+     * Hash of the node's stored state (content, context and parent)
+     * Timestamps and token count are left out: they change without the node being edited. So is
+     * the order value, which renumbering changes without changing the reading order; the parent's
+     * subtree hash covers sibling order through its children's hashes in reading order.
+     */
+    computeHash() {
+        return hashString(JSON.stringify([
+            this.id,
+            this.parentId,
+            this.contextType,
+            this.contextName,
+            this.contextValue,
+            this.text
+        ]));
     }
 
     toDict() {
@@ -70,7 +53,13 @@ class Node {
             updatedAt: this.updatedAt,
             contextType: this.contextType,
             contextName: this.contextName,
-            contextValue: this.contextValue
+            contextValue: this.contextValue,
+            priority: this.priority,
+            stickyGroup: this.stickyGroup,
+            copiedFrom: this.copiedFrom,
+            expiresAt: this.expiresAt,
+            tokenizer: this.tokenizer,
+            hash: this.computeHash()
         };
     }
 
@@ -85,7 +74,12 @@ class Node {
             data.updatedAt,
             data.contextType,
             data.contextName,
-            data.contextValue
+            data.contextValue,
+            data.priority,
+            data.stickyGroup,
+            data.copiedFrom,
+            data.expiresAt,
+            data.tokenizer
         );
     }
 }
@@ -94,6 +88,153 @@ class Node {
 let sharedDatabase = null;
 let databaseInitPromise = null;
 
+// IndexedDB persistence of the shared database
+const PERSIST_DB_NAME = 'faihelpers';
+const PERSIST_STORE_NAME = 'docmem';
+const PERSIST_KEY = 'sharedDatabase';
+const PERSIST_DEBOUNCE_MS = 500;
+
+let persistTimer = null;
+let lastSavedAt = null;
+// Save generation this tab last loaded or wrote; a different generation in IndexedDB means another tab saved
+let knownGeneration = 0;
+
+// Set while a Docmem.begin() transaction is open on the shared database
+let transactionOpen = false;
+
+function isPersistenceAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openPersistStore() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(PERSIST_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(PERSIST_STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Load the saved database image from IndexedDB
+ * @returns {Promise<{data: Uint8Array, savedAt: string}|null>} - Saved record, or null if nothing was saved
+ */
+async function loadPersistedDatabase() {
+    if (!isPersistenceAvailable()) {
+        return null;
+    }
+    const idb = await openPersistStore();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = idb.transaction(PERSIST_STORE_NAME, 'readonly')
+                .objectStore(PERSIST_STORE_NAME)
+                .get(PERSIST_KEY);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        idb.close();
+    }
+}
+
+/**
+ * Write the shared database to IndexedDB immediately
+ * Cancels any pending debounced save. Refuses to overwrite a save made by another
+ * tab since this tab last loaded or saved, unless force is set.
+ * @param {boolean} force - Overwrite another tab's save
+ * @throws {Error} - Conflict error when another tab saved first
+ */
+async function persistSharedDatabase(force = false) {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    // export() closes the connection, which would abort an open transaction; try again later
+    if (transactionOpen) {
+        schedulePersist();
+        return;
+    }
+    if (!sharedDatabase || !isPersistenceAvailable()) {
+        return;
+    }
+
+    const record = {
+        data: sharedDatabase.export(),
+        savedAt: new Date().toISOString(),
+        generation: null
+    };
+    // export() closes and reopens the connection, which resets pragmas
+    configureConnection(sharedDatabase);
+    const idb = await openPersistStore();
+    let conflictGeneration = null;
+    try {
+        await new Promise((resolve, reject) => {
+            const tx = idb.transaction(PERSIST_STORE_NAME, 'readwrite');
+            const store = tx.objectStore(PERSIST_STORE_NAME);
+            const getRequest = store.get(PERSIST_KEY);
+            getRequest.onsuccess = () => {
+                const currentGeneration = getRequest.result ? (getRequest.result.generation || 0) : 0;
+                if (currentGeneration !== knownGeneration && !force) {
+                    conflictGeneration = currentGeneration;
+                    tx.abort();
+                    return;
+                }
+                record.generation = currentGeneration + 1;
+                store.put(record, PERSIST_KEY);
+            };
+            tx.oncomplete = () => resolve();
+            tx.onabort = () => (conflictGeneration !== null ? resolve() : reject(tx.error));
+        });
+    } finally {
+        idb.close();
+    }
+
+    if (conflictGeneration !== null) {
+        if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('docmem-save-conflict', { detail: { generation: conflictGeneration } }));
+        }
+        throw new Error('Conflict: the docmem database was saved by another tab since this tab loaded it. Reload to get those changes, or save with force to overwrite them.');
+    }
+
+    knownGeneration = record.generation;
+    lastSavedAt = record.savedAt;
+    if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('docmem-saved', { detail: { savedAt: lastSavedAt } }));
+    }
+}
+
+/**
+ * Schedule a debounced save of the shared database
+ * Called after every mutating docmem operation so bursts of edits are written once.
+ */
+function schedulePersist() {
+    if (!isPersistenceAvailable()) {
+        return;
+    }
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+    }
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        persistSharedDatabase().catch(error => {
+            console.error('Error saving docmem database to IndexedDB:', error);
+        });
+    }, PERSIST_DEBOUNCE_MS);
+}
+
+// Flush a pending save when the page is being hidden or unloaded (best effort)
+if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+    window.addEventListener('pagehide', () => {
+        if (persistTimer) {
+            persistSharedDatabase().catch(error => {
+                console.error('Error saving docmem database to IndexedDB:', error);
+            });
+        }
+    });
+}
+
 async function initSharedDatabase() {
     if (sharedDatabase) {
         return sharedDatabase;
@@ -122,7 +263,8 @@ async function initSharedDatabase() {
                     return `https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/${file}`;
                 }
             });
-            sharedDatabase = new SQL.Database();
+            sharedDatabase = await openSavedOrNewDatabase(SQL);
+            configureConnection(sharedDatabase);
             
             // Initialize database schema (CREATE TABLE IF NOT EXISTS)
             sharedDatabase.run(`
@@ -137,11 +279,81 @@ async function initSharedDatabase() {
                     context_type TEXT NOT NULL,
                     context_name TEXT NOT NULL,
                     context_value TEXT NOT NULL,
+                    priority TEXT NOT NULL DEFAULT 'normal',
+                    sticky_group TEXT,
+                    copied_from TEXT,
+                    trashed_in TEXT,
+                    trashed_at TEXT,
+                    expires_at TEXT,
+                    tokenizer TEXT,
                     FOREIGN KEY (parent_id) REFERENCES nodes(id) ON DELETE CASCADE
                 )
             `);
+            ensureColumn(sharedDatabase, 'nodes', 'priority', "TEXT NOT NULL DEFAULT 'normal'");
+            ensureColumn(sharedDatabase, 'nodes', 'sticky_group', 'TEXT');
+            ensureColumn(sharedDatabase, 'nodes', 'copied_from', 'TEXT');
+            ensureColumn(sharedDatabase, 'nodes', 'trashed_in', 'TEXT');
+            ensureColumn(sharedDatabase, 'nodes', 'trashed_at', 'TEXT');
+            ensureColumn(sharedDatabase, 'nodes', 'expires_at', 'TEXT');
+            ensureColumn(sharedDatabase, 'nodes', 'tokenizer', 'TEXT');
             sharedDatabase.run('CREATE INDEX IF NOT EXISTS idx_parent_id ON nodes(parent_id)');
             sharedDatabase.run('CREATE INDEX IF NOT EXISTS idx_order ON nodes(parent_id, order_value)');
+            sharedDatabase.run('CREATE INDEX IF NOT EXISTS idx_trashed_in ON nodes(trashed_in)');
+
+            // Embeddings for semantic search, tagged with the embedder that produced them
+            sharedDatabase.run(`
+                CREATE TABLE IF NOT EXISTS embeddings (
+                    node_id TEXT PRIMARY KEY,
+                    embedder TEXT NOT NULL,
+                    vector BLOB NOT NULL,
+                    FOREIGN KEY (node_id) REFERENCES nodes(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Revision history: one row per change, holding the node state after the change
+            sharedDatabase.run(`
+                CREATE TABLE IF NOT EXISTS revisions (
+                    node_id TEXT NOT NULL,
+                    revision INTEGER NOT NULL,
+                    change_type TEXT NOT NULL,
+                    origin TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    parent_id TEXT,
+                    text TEXT NOT NULL,
+                    order_value REAL NOT NULL,
+                    context_type TEXT NOT NULL,
+                    context_name TEXT NOT NULL,
+                    context_value TEXT NOT NULL,
+                    PRIMARY KEY (node_id, revision),
+                    FOREIGN KEY (node_id) REFERENCES nodes(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Context schema locked onto a docmem, as normalized JSON
+            sharedDatabase.run(`
+                CREATE TABLE IF NOT EXISTS context_schemas (
+                    root_id TEXT PRIMARY KEY,
+                    schema TEXT NOT NULL,
+                    locked_at TEXT NOT NULL,
+                    FOREIGN KEY (root_id) REFERENCES nodes(id) ON DELETE CASCADE
+                )
+            `);
+
+            // Summaries dissolved by unsummarize with keepRecord, with their revision history
+            sharedDatabase.run(`
+                CREATE TABLE IF NOT EXISTS summary_archive (
+                    summary_id TEXT PRIMARY KEY,
+                    parent_id TEXT NOT NULL,
+                    child_ids TEXT NOT NULL,
+                    revisions TEXT NOT NULL,
+                    origin TEXT NOT NULL,
+                    dissolved_at TEXT NOT NULL
+                )
+            `);
+
+            initFullTextIndex(sharedDatabase);
+            initUndoLog(sharedDatabase);
+            initMentionIndex(sharedDatabase);
             
             return sharedDatabase;
         } catch (error) {
@@ -155,9 +367,520 @@ async function initSharedDatabase() {
     return databaseInitPromise;
 }
 
+/**
+ * Apply per-connection settings
+ * SQLite leaves foreign keys off by default, which would make ON DELETE CASCADE a no-op.
+ */
+function configureConnection(db) {
+    db.run('PRAGMA foreign_keys = ON');
+}
+
+// Embedder shared by all docmem instances; see embedder.js for the interface
+let activeEmbedder = null;
+
+function getEmbedder() {
+    if (!activeEmbedder) {
+        activeEmbedder = new HashedBagOfWordsEmbedder();
+    }
+    return activeEmbedder;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Add a column to a table saved before the column existed
+ */
+function ensureColumn(db, table, column, definition) {
+    const result = db.exec(`PRAGMA table_info(${table})`);
+    const columns = result.length > 0 ? result[0].values.map(row => row[1]) : [];
+    if (!columns.includes(column)) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+/**
+ * SQL condition for rows of table that are neither in the trash nor past their expiry
+ * expires_at holds toISOString() text, which strftime reproduces, so the times compare as text.
+ */
+function visibleNodeCondition(table = 'nodes') {
+    return `${table}.trashed_in IS NULL AND (${table}.expires_at IS NULL OR ${table}.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+}
+
+// Duration unit -> milliseconds
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Latest expiry; later ISO timestamps get a +0YYYYY year and no longer compare as strings
+const LATEST_EXPIRY_MS = Date.UTC(9999, 11, 31, 23, 59, 59, 999);
+
+/**
+ * Parse a duration such as 90s, 30m, 1h30m, 2d or 1w into milliseconds
+ * @throws {Error} - When the duration is not valid, not positive or would end after the year 9999
+ */
+function parseDuration(duration) {
+    const text = String(duration || '').trim().toLowerCase();
+    if (!/^(\d+(\.\d+)?[smhdw])+$/.test(text)) {
+        throw new Error(`Invalid duration ${duration}: use numbers with units s, m, h, d or w, such as 30m or 1h30m`);
+    }
+    let ms = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)([smhdw])/g)) {
+        ms += parseFloat(amount) * DURATION_UNITS[unit];
+    }
+    if (ms <= 0) {
+        throw new Error(`Invalid duration ${duration}: must be longer than zero`);
+    }
+    if (Date.now() + ms > LATEST_EXPIRY_MS) {
+        throw new Error(`Invalid duration ${duration}: must end before the year 10000`);
+    }
+    return ms;
+}
+
+/**
+ * Expiry timestamp a duration from now, or null for a null duration
+ */
+function expiryAfter(duration) {
+    return duration ? new Date(Date.now() + parseDuration(duration)).toISOString() : null;
+}
+
+// Undo steps kept per docmem; older steps are dropped
+const UNDO_HISTORY_LIMIT = 100;
+
+// True while a public operation runs as an undo step, so operations it calls are part of it
+let undoStepActive = false;
+
+/**
+ * Create the undo log: undo_steps holds one row per public operation, and triggers copy every
+ * change to the nodes table into undo_changes while undo_state.active_step is set
+ * The triggers are recreated at startup so they cover columns added by ensureColumn.
+ */
+function initUndoLog(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS undo_steps (
+            step INTEGER PRIMARY KEY AUTOINCREMENT,
+            root_id TEXT,
+            operation TEXT NOT NULL,
+            origin TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            undone INTEGER NOT NULL DEFAULT 0
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_undo_steps_root ON undo_steps(root_id, step)');
+    db.run(`
+        CREATE TABLE IF NOT EXISTS undo_changes (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            step INTEGER NOT NULL,
+            old_row TEXT,
+            new_row TEXT,
+            FOREIGN KEY (step) REFERENCES undo_steps(step) ON DELETE CASCADE
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_undo_changes_step ON undo_changes(step)');
+    db.run('CREATE TABLE IF NOT EXISTS undo_state (id INTEGER PRIMARY KEY CHECK (id = 1), active_step INTEGER)');
+    db.run('INSERT OR IGNORE INTO undo_state (id, active_step) VALUES (1, NULL)');
+    db.run('UPDATE undo_state SET active_step = NULL');
+
+    const columns = db.exec('PRAGMA table_info(nodes)')[0].values.map(row => row[1]);
+    const rowJson = (prefix) => `json_object(${columns.map(column => `'${column}', ${prefix}.${column}`).join(', ')})`;
+    const activeStep = '(SELECT active_step FROM undo_state WHERE id = 1)';
+    const triggers = [
+        ['INSERT', 'NULL', rowJson('NEW')],
+        ['UPDATE', rowJson('OLD'), rowJson('NEW')],
+        ['DELETE', rowJson('OLD'), 'NULL']
+    ];
+    for (const [event, oldRow, newRow] of triggers) {
+        const name = `nodes_undo_${event.toLowerCase()}`;
+        db.run(`DROP TRIGGER IF EXISTS ${name}`);
+        db.run(`
+            CREATE TRIGGER ${name} AFTER ${event} ON nodes WHEN ${activeStep} IS NOT NULL BEGIN
+                INSERT INTO undo_changes (step, old_row, new_row) VALUES (${activeStep}, ${oldRow}, ${newRow});
+            END
+        `);
+    }
+}
+
+/**
+ * Create the index of @tag and @root-id/node-id mentions in node content
+ * Content is parsed in JavaScript, so the index is kept current wherever node text is written
+ * rather than by triggers. A newly created index is filled from existing nodes.
+ */
+function initMentionIndex(db) {
+    const existing = db.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'mentions'");
+    db.run(`
+        CREATE TABLE IF NOT EXISTS mentions (
+            node_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            mention TEXT NOT NULL,
+            root_id TEXT,
+            target_id TEXT NOT NULL,
+            PRIMARY KEY (node_id, position),
+            FOREIGN KEY (node_id) REFERENCES nodes(id) ON DELETE CASCADE
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_mentions_target ON mentions(target_id)');
+    if (existing.length === 0) {
+        const result = db.exec('SELECT id, text FROM nodes');
+        if (result.length > 0) {
+            result[0].values.forEach(([nodeId, text]) => indexMentions(db, nodeId, text));
+        }
+    }
+}
+
+/**
+ * Replace the indexed mentions of a node with the ones in its current text
+ * A mention is stored without the @; target_id is the tag, or the node id of @root-id/node-id.
+ */
+function indexMentions(db, nodeId, text) {
+    db.run('DELETE FROM mentions WHERE node_id = ?', [nodeId]);
+    const stmt = db.prepare('INSERT INTO mentions (node_id, position, mention, root_id, target_id) VALUES (?, ?, ?, ?, ?)');
+    for (const ref of Docmem.findReferences(text)) {
+        stmt.run([nodeId, ref.index, ref.reference.substring(1), ref.rootId, ref.nodeId]);
+    }
+    stmt.free();
+}
+
+/**
+ * Create the FTS4 keyword index over node text and context, kept in sync by triggers
+ * The index row's docid is the node's rowid. A newly created index is filled from existing nodes.
+ */
+function initFullTextIndex(db) {
+    const existing = db.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'nodes_fts'");
+    db.run('CREATE VIRTUAL TABLE IF NOT EXISTS nodes_fts USING fts4(text, context_type, context_name, context_value, tokenize=porter)');
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS nodes_fts_insert AFTER INSERT ON nodes BEGIN
+            INSERT INTO nodes_fts (docid, text, context_type, context_name, context_value)
+            VALUES (new.rowid, new.text, new.context_type, new.context_name, new.context_value);
+        END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS nodes_fts_update AFTER UPDATE OF text, context_type, context_name, context_value ON nodes BEGIN
+            DELETE FROM nodes_fts WHERE docid = old.rowid;
+            INSERT INTO nodes_fts (docid, text, context_type, context_name, context_value)
+            VALUES (new.rowid, new.text, new.context_type, new.context_name, new.context_value);
+        END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS nodes_fts_delete AFTER DELETE ON nodes BEGIN
+            DELETE FROM nodes_fts WHERE docid = old.rowid;
+        END
+    `);
+    if (existing.length === 0) {
+        db.run(`
+            INSERT INTO nodes_fts (docid, text, context_type, context_name, context_value)
+            SELECT rowid, text, context_type, context_name, context_value FROM nodes
+        `);
+    }
+}
+
+/**
+ * Turn free-text search terms into an FTS MATCH expression
+ * Each term is quoted so punctuation cannot break the query; a trailing * keeps prefix matching.
+ */
+function toMatchExpression(terms) {
+    return terms
+        .split(/\s+/)
+        .map(term => {
+            const prefix = term.endsWith('*');
+            const word = term.replace(/["*]/g, '');
+            return word ? `"${word}${prefix ? '*' : ''}"` : '';
+        })
+        .filter(term => term)
+        .join(' ');
+}
+
+// Node reference in commands and content: @root-id/node-id, or @node-id
+const NODE_REFERENCE_PATTERN = /@([\w-]+)(?:\/([\w-]+))?/g;
+
+/**
+ * Parse and normalize a context schema
+ * A schema lists the allowed context types; each type MAY restrict the types of its children
+ * and the allowed context names, each with a list of allowed values or "*" for any value:
+ *   { "types": { "section": { "children": ["paragraph"], "names": { "title": "*" } },
+ *                "paragraph": { "names": { "status": ["draft", "final"] } } } }
+ * @param {string|Object} schema - Schema object or its JSON text
+ * @returns {Object} - { types: { [type]: { children: string[]|null, names: Object|null } } },
+ *   where a names entry of null allows any value
+ * @throws {Error} - When the schema is not valid
+ */
+function parseContextSchema(schema) {
+    let parsed = schema;
+    if (typeof schema === 'string') {
+        try {
+            parsed = JSON.parse(schema);
+        } catch (error) {
+            throw new Error(`Context schema must be JSON: ${error.message}`);
+        }
+    }
+    if (!parsed || typeof parsed.types !== 'object' || Array.isArray(parsed.types) || Object.keys(parsed.types).length === 0) {
+        throw new Error('Context schema must have a non-empty "types" object');
+    }
+
+    const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const types = {};
+    for (const [type, rule] of Object.entries(parsed.types)) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new Error(`Context schema type ${type} must be an object`);
+        }
+        if (rule.children !== undefined && !isStringList(rule.children)) {
+            throw new Error(`Context schema type ${type}: "children" must be a list of types`);
+        }
+        const undeclared = (rule.children || []).filter(child => !Object.prototype.hasOwnProperty.call(parsed.types, child));
+        if (undeclared.length > 0) {
+            throw new Error(`Context schema type ${type}: children ${undeclared.join(', ')} are not declared types`);
+        }
+
+        let names = null;
+        if (rule.names !== undefined) {
+            if (!rule.names || typeof rule.names !== 'object' || Array.isArray(rule.names)) {
+                throw new Error(`Context schema type ${type}: "names" must be an object`);
+            }
+            names = {};
+            for (const [name, values] of Object.entries(rule.names)) {
+                if (values !== '*' && values !== null && !isStringList(values)) {
+                    throw new Error(`Context schema type ${type} name ${name}: values must be a list or "*"`);
+                }
+                names[name] = values === '*' ? null : values;
+            }
+        }
+        types[type] = { children: rule.children || null, names };
+    }
+    return { types };
+}
+
+/**
+ * Reason a node's context breaks the schema under a parent of parentType, or null if it conforms
+ */
+function contextSchemaViolation(schema, parentType, contextType, contextName, contextValue) {
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+    if (!has(schema.types, contextType)) {
+        return `context_type ${contextType} is not allowed (allowed: ${Object.keys(schema.types).join(', ')})`;
+    }
+    const parentRule = parentType !== null && has(schema.types, parentType) ? schema.types[parentType] : null;
+    if (parentRule && parentRule.children && !parentRule.children.includes(contextType)) {
+        return `context_type ${contextType} is not allowed under ${parentType} (allowed: ${parentRule.children.join(', ') || 'none'})`;
+    }
+    const names = schema.types[contextType].names;
+    if (names) {
+        if (!has(names, contextName)) {
+            return `context_name ${contextName} is not allowed for ${contextType} (allowed: ${Object.keys(names).join(', ') || 'none'})`;
+        }
+        if (names[contextName] && !names[contextName].includes(contextValue)) {
+            return `context_value ${contextValue} is not allowed for ${contextType} ${contextName} (allowed: ${names[contextName].join(', ')})`;
+        }
+    }
+    return null;
+}
+
+// Node priorities, most important first: must-include nodes always appear in expansions
+// and chat context, low-priority nodes are the first to be dropped when the budget is tight
+const PRIORITY_LEVELS = ['must', 'high', 'normal', 'low'];
+
+function priorityRank(node) {
+    const rank = PRIORITY_LEVELS.indexOf(node.priority);
+    return rank === -1 ? PRIORITY_LEVELS.indexOf('normal') : rank;
+}
+
+/**
+ * Split sorted siblings into units that expand and drop together: the members of a sticky
+ * group form one unit at the position of its first member, every other node is its own unit
+ */
+function groupStickyUnits(sortedNodes) {
+    const units = [];
+    const groups = new Map();
+    for (const node of sortedNodes) {
+        if (!node.stickyGroup) {
+            units.push([node]);
+            continue;
+        }
+        if (!groups.has(node.stickyGroup)) {
+            const unit = [];
+            groups.set(node.stickyGroup, unit);
+            units.push(unit);
+        }
+        groups.get(node.stickyGroup).push(node);
+    }
+    return units;
+}
+
+function unitPriorityRank(unit) {
+    return Math.min(...unit.map(priorityRank));
+}
+
+// Smallest gap allowed between the order values of neighbouring siblings before they are renumbered
+const ORDER_EPSILON = 1e-9;
+
+// context_type values that mark the root node of a docmem
+const ROOT_CONTEXT_TYPES = ['root', 'chat_session'];
+
+/**
+ * Check the shared database for structural problems and optionally repair them
+ * Finds orphans, parent cycles, roots with a parent, duplicate sibling orders,
+ * stale token counts and revisions left behind by deleted nodes.
+ * @param {Object} db - sql.js database
+ * @param {boolean} repair - Fix the problems found
+ * @returns {Array<{type: string, nodeId: string, detail: string, repair: string}>} - Problems found
+ */
+function fsckDatabase(db, repair) {
+    const issues = [];
+    const nodes = new Map();
+    const stmt = db.prepare('SELECT id, parent_id, text, order_value, token_count, tokenizer, created_at, context_type, trashed_in, expires_at FROM nodes');
+    while (stmt.step()) {
+        const row = stmt.getAsObject();
+        nodes.set(row.id, row);
+    }
+    stmt.free();
+
+    const runSql = (sql, params) => {
+        const update = db.prepare(sql);
+        update.bind(params);
+        update.step();
+        update.free();
+    };
+
+    // Orphans: parent_id points at a node that no longer exists
+    const orphans = [...nodes.values()].filter(n => n.parent_id !== null && !nodes.has(n.parent_id));
+    for (const orphan of orphans) {
+        issues.push({ type: 'orphan', nodeId: orphan.id, detail: `parent ${orphan.parent_id} does not exist`, repair: 'delete subtree' });
+        nodes.delete(orphan.id);
+        if (repair) {
+            runSql('DELETE FROM nodes WHERE id = ?', [orphan.id]);
+        }
+    }
+    if (repair && orphans.length > 0) {
+        return issues.concat(fsckDatabase(db, repair));
+    }
+
+    // Cycles: following parent pointers comes back around without reaching a root
+    const cycleMembers = new Set();
+    for (const start of nodes.keys()) {
+        const path = [];
+        const onPath = new Set();
+        let current = start;
+        while (current !== null && nodes.has(current) && !onPath.has(current) && !cycleMembers.has(current)) {
+            path.push(current);
+            onPath.add(current);
+            current = nodes.get(current).parent_id;
+        }
+        if (current !== null && onPath.has(current)) {
+            const cycle = path.slice(path.indexOf(current));
+            cycle.forEach(id => cycleMembers.add(id));
+            // Detach the oldest member so the cycle becomes a recoverable docmem
+            const detached = cycle
+                .map(id => nodes.get(id))
+                .sort((a, b) => a.created_at.localeCompare(b.created_at))[0];
+            issues.push({ type: 'cycle', nodeId: detached.id, detail: `parent cycle through ${cycle.join(' -> ')}`, repair: 'detach as root' });
+            if (repair) {
+                runSql('UPDATE nodes SET parent_id = NULL WHERE id = ?', [detached.id]);
+                detached.parent_id = null;
+            }
+        }
+    }
+
+    // Roots with a parent: nodes typed as a docmem root that were attached under another node
+    for (const node of nodes.values()) {
+        if (ROOT_CONTEXT_TYPES.includes(node.context_type) && node.parent_id !== null) {
+            issues.push({ type: 'root_with_parent', nodeId: node.id, detail: `root node has parent ${node.parent_id}`, repair: 'detach as root' });
+            if (repair) {
+                runSql('UPDATE nodes SET parent_id = NULL WHERE id = ?', [node.id]);
+                node.parent_id = null;
+            }
+        }
+    }
+
+    // Duplicate sibling orders: reading order between the siblings is undefined
+    // Trashed and expired nodes keep their old order; restore and the expiry sweep place them again
+    const now = new Date().toISOString();
+    const siblings = new Map();
+    for (const node of nodes.values()) {
+        if (node.parent_id === null || node.trashed_in !== null || (node.expires_at !== null && node.expires_at <= now)) continue;
+        if (!siblings.has(node.parent_id)) siblings.set(node.parent_id, []);
+        siblings.get(node.parent_id).push(node);
+    }
+    for (const [parentId, children] of siblings) {
+        const orders = children.map(c => c.order_value);
+        if (new Set(orders).size === orders.length) continue;
+        issues.push({ type: 'duplicate_order', nodeId: parentId, detail: 'children share order values', repair: 'renumber children' });
+        if (repair) {
+            children
+                .sort((a, b) => a.order_value - b.order_value || a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+                .forEach((child, index) => runSql('UPDATE nodes SET order_value = ? WHERE id = ?', [index + 1.0, child.id]));
+        }
+    }
+
+    // Stale token counts: text changed without a recount. Each node is counted with the tokenizer
+    // that produced its count, so switching models or docmem-recount is not mistaken for corruption;
+    // counts stored before tokenizers were recorded came from the default family
+    for (const node of nodes.values()) {
+        const family = node.tokenizer || DEFAULT_TOKENIZER_FAMILY;
+        if (!hasTokenizer(family)) continue;
+        const tokenCount = getTokenizer(family).count(node.text);
+        if (tokenCount !== node.token_count) {
+            issues.push({ type: 'stale_token_count', nodeId: node.id, detail: `stored ${node.token_count}, counted ${tokenCount} with ${family}`, repair: 'recount' });
+            if (repair) {
+                runSql('UPDATE nodes SET token_count = ? WHERE id = ?', [tokenCount, node.id]);
+            }
+        }
+    }
+
+    // Revisions of nodes deleted while foreign keys were not enforced
+    const revisionStmt = db.prepare('SELECT DISTINCT node_id FROM revisions WHERE node_id NOT IN (SELECT id FROM nodes)');
+    while (revisionStmt.step()) {
+        const nodeId = revisionStmt.getAsObject().node_id;
+        issues.push({ type: 'orphan_revisions', nodeId, detail: 'revisions of a deleted node', repair: 'delete revisions' });
+    }
+    revisionStmt.free();
+    if (repair) {
+        db.run('DELETE FROM revisions WHERE node_id NOT IN (SELECT id FROM nodes)');
+    }
+
+    return issues;
+}
+
+/**
+ * Open the database saved in IndexedDB, or a fresh one if nothing was saved
+ * A saved image that cannot be read is logged and replaced by a fresh database.
+ */
+async function openSavedOrNewDatabase(SQL) {
+    let saved = null;
+    try {
+        saved = await loadPersistedDatabase();
+    } catch (error) {
+        console.error('Error loading docmem database from IndexedDB:', error);
+    }
+    if (!saved || !saved.data) {
+        return new SQL.Database();
+    }
+
+    try {
+        const db = new SQL.Database(saved.data);
+        // Touch the schema so a corrupt image fails here rather than on first use
+        db.exec('SELECT count(*) FROM sqlite_master');
+        lastSavedAt = saved.savedAt || null;
+        knownGeneration = saved.generation || 0;
+        return db;
+    } catch (error) {
+        console.error('Saved docmem database is unreadable, starting with an empty database:', error);
+        return new SQL.Database();
+    }
+}
+
 class Docmem {
-    constructor(docmemId) {
+    /**
+     * @param {string} docmemId - Root node id
+     * @param {string} origin - Recorded on revisions made through this instance (e.g. 'ui', 'chat', 'agent')
+     */
+    constructor(docmemId, origin = 'api') {
         this.docmemId = docmemId;
+        this.origin = origin;
         this.db = null;
         this._initPromise = this._init();
     }
@@ -175,6 +898,54 @@ class Docmem {
         await this._initPromise;
     }
 
+    /**
+     * Start a transaction on the shared database
+     * Transactions do not nest; begin() while one is open is an error.
+     */
+    begin() {
+        if (transactionOpen) {
+            throw new Error('A transaction is already in progress');
+        }
+        this.db.run('BEGIN');
+        transactionOpen = true;
+    }
+
+    commit() {
+        if (!transactionOpen) {
+            throw new Error('No transaction in progress');
+        }
+        this.db.run('COMMIT');
+        transactionOpen = false;
+        schedulePersist();
+    }
+
+    rollback() {
+        if (!transactionOpen) {
+            throw new Error('No transaction in progress');
+        }
+        this.db.run('ROLLBACK');
+        transactionOpen = false;
+    }
+
+    /**
+     * Run fn inside a transaction, committing if it returns and rolling back if it throws
+     */
+    transaction(fn) {
+        this.begin();
+        try {
+            const result = fn();
+            this.commit();
+            return result;
+        } catch (error) {
+            this.rollback();
+            throw error;
+        }
+    }
+
+    inTransaction() {
+        return transactionOpen;
+    }
+
     _getRootById(rootId) {
         const stmt = this.db.prepare('SELECT * FROM nodes WHERE id = ? AND parent_id IS NULL');
         stmt.bind([rootId]);
@@ -190,6 +961,11 @@ class Docmem {
             return existingRoot;
         }
         
+        // Node ids are global, so a root id must not collide with a node in another docmem
+        if (this._nodeIdExists(this.docmemId)) {
+            throw new Error(`Cannot create docmem ${this.docmemId}: the id is already used by a node in docmem ${Docmem.getRootId(this.docmemId)}`);
+        }
+        
         const root = new Node(
             this.docmemId,
             null,
@@ -203,13 +979,14 @@ class Docmem {
             contextValue
         );
         this._insertNode(root);
+        schedulePersist();
         return root;
     }
 
     _insertNode(node) {
         const stmt = this.db.prepare(`
-            INSERT INTO nodes (id, parent_id, text, order_value, token_count, created_at, updated_at, context_type, context_name, context_value)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO nodes (id, parent_id, text, order_value, token_count, created_at, updated_at, context_type, context_name, context_value, priority, sticky_group, copied_from, expires_at, tokenizer)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         stmt.bind([
             node.id,
@@ -221,29 +998,43 @@ class Docmem {
             node.updatedAt,
             node.contextType,
             node.contextName,
-            node.contextValue
+            node.contextValue,
+            node.priority,
+            node.stickyGroup,
+            node.copiedFrom,
+            node.expiresAt,
+            node.tokenizer
         ]);
         stmt.step();
         stmt.free();
+        this._recordRevision(node.id, 'create');
+        this._updateEmbedding(node.id, node.text);
+        indexMentions(this.db, node.id, node.text);
     }
 
     _updateNode(node) {
+        this._ensureBaselineRevision(node.id);
         const stmt = this.db.prepare(`
             UPDATE nodes
-            SET text = ?, token_count = ?, updated_at = ?
+            SET text = ?, token_count = ?, tokenizer = ?, updated_at = ?
             WHERE id = ?
         `);
         stmt.bind([
             node.text,
             node.tokenCount,
+            node.tokenizer,
             new Date().toISOString(),
             node.id
         ]);
         stmt.step();
         stmt.free();
+        this._recordRevision(node.id, 'content');
+        this._updateEmbedding(node.id, node.text);
+        indexMentions(this.db, node.id, node.text);
     }
 
     _updateNodeContext(node) {
+        this._ensureBaselineRevision(node.id);
         const stmt = this.db.prepare(`
             UPDATE nodes
             SET context_type = ?, context_name = ?, context_value = ?, updated_at = ?
@@ -258,16 +1049,86 @@ class Docmem {
         ]);
         stmt.step();
         stmt.free();
+        this._recordRevision(node.id, 'context');
+    }
+
+    /**
+     * Record the current state of a node as its next revision
+     * @param {string} nodeId - Node that changed
+     * @param {string} changeType - create, baseline, content, context, move, reorder or revert
+     */
+    _recordRevision(nodeId, changeType) {
+        const stmt = this.db.prepare(`
+            INSERT INTO revisions (node_id, revision, change_type, origin, created_at, parent_id, text, order_value, context_type, context_name, context_value)
+            SELECT id,
+                   (SELECT COALESCE(MAX(revision), 0) + 1 FROM revisions WHERE node_id = ?),
+                   ?, ?, ?, parent_id, text, order_value, context_type, context_name, context_value
+            FROM nodes WHERE id = ?
+        `);
+        stmt.bind([nodeId, changeType, this.origin, new Date().toISOString(), nodeId]);
+        stmt.step();
+        stmt.free();
+    }
+
+    _updateEmbedding(nodeId, text) {
+        const embedder = getEmbedder();
+        const vector = embedder.embed(text);
+        const stmt = this.db.prepare('INSERT OR REPLACE INTO embeddings (node_id, embedder, vector) VALUES (?, ?, ?)');
+        stmt.bind([nodeId, embedder.name, new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength)]);
+        stmt.step();
+        stmt.free();
+        return vector;
+    }
+
+    /**
+     * Load the stored embedding for a node, recomputing it when missing or made by another embedder
+     */
+    _getEmbedding(node) {
+        const embedder = getEmbedder();
+        const stmt = this.db.prepare('SELECT embedder, vector FROM embeddings WHERE node_id = ?');
+        stmt.bind([node.id]);
+        const row = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        if (!row || row.embedder !== embedder.name) {
+            return this._updateEmbedding(node.id, node.text);
+        }
+        const bytes = row.vector;
+        return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    }
+
+    /**
+     * Nodes created before revision tracking have no history.
+     * Snapshot their current state before the first change so it can be reverted to.
+     */
+    _ensureBaselineRevision(nodeId) {
+        const stmt = this.db.prepare('SELECT 1 FROM revisions WHERE node_id = ? LIMIT 1');
+        stmt.bind([nodeId]);
+        const hasRevisions = stmt.step();
+        stmt.free();
+        if (!hasRevisions) {
+            this._recordRevision(nodeId, 'baseline');
+        }
     }
 
     _getNode(nodeId) {
-        const stmt = this.db.prepare('SELECT * FROM nodes WHERE id = ?');
+        const stmt = this.db.prepare(`SELECT * FROM nodes WHERE id = ? AND ${visibleNodeCondition()}`);
         stmt.bind([nodeId]);
         const result = stmt.step() ? this._rowToNode(stmt.getAsObject()) : null;
         stmt.free();
         return result;
     }
 
+    /**
+     * Whether any row has the id, including trashed and expired nodes that _getNode hides
+     */
+    _nodeIdExists(nodeId) {
+        const stmt = this.db.prepare('SELECT 1 FROM nodes WHERE id = ?');
+        stmt.bind([nodeId]);
+        const exists = stmt.step();
+        stmt.free();
+        return exists;
+    }
+
     _rowToNode(row) {
         return new Node(
             row.id,
@@ -279,14 +1140,19 @@ class Docmem {
             row.updated_at,
             row.context_type,
             row.context_name,
-            row.context_value
+            row.context_value,
+            row.priority,
+            row.sticky_group,
+            row.copied_from,
+            row.expires_at,
+            row.tokenizer
         );
     }
 
     _getChildren(parentId) {
         const stmt = this.db.prepare(`
             SELECT * FROM nodes
-            WHERE parent_id = ?
+            WHERE parent_id = ? AND ${visibleNodeCondition()}
             ORDER BY order_value
         `);
         stmt.bind([parentId]);
@@ -316,38 +1182,488 @@ class Docmem {
         return roots;
     }
 
-    static getAllRoots() {
+    /**
+     * ISO8601 timestamp of the last successful save to IndexedDB, or null if never saved
+     */
+    static getLastSavedAt() {
+        return lastSavedAt;
+    }
+
+    /**
+     * Save the shared database to IndexedDB now instead of waiting for the debounce
+     * @param {Object} options - { force } overwrites a newer save made by another tab
+     */
+    static async saveNow(options = {}) {
+        await persistSharedDatabase(Boolean(options.force));
+        return lastSavedAt;
+    }
+
+    /**
+     * Id of the root of the docmem containing a node, following parent pointers
+     * @returns {string|null} - Root id, or null if the node does not exist
+     */
+    static getRootId(nodeId) {
         if (!sharedDatabase) {
-            return [];
+            return null;
         }
-        const stmt = sharedDatabase.prepare('SELECT * FROM nodes WHERE parent_id IS NULL ORDER BY created_at');
-        const roots = [];
-        while (stmt.step()) {
-            const row = stmt.getAsObject();
-            roots.push({
-                id: row.id,
-                parentId: row.parent_id,
-                text: row.text,
-                order: row.order_value,
-                tokenCount: row.token_count,
-                createdAt: row.created_at,
-                updatedAt: row.updated_at,
-                contextType: row.context_type,
-                contextName: row.context_name,
-                contextValue: row.context_value
-            });
+        const stmt = sharedDatabase.prepare('SELECT parent_id FROM nodes WHERE id = ?');
+        const seen = new Set();
+        let current = nodeId;
+        let rootId = null;
+        while (current && !seen.has(current)) {
+            seen.add(current);
+            stmt.bind([current]);
+            const row = stmt.step() ? stmt.getAsObject() : null;
+            stmt.reset();
+            if (!row) {
+                break;
+            }
+            if (row.parent_id === null) {
+                rootId = current;
+                break;
+            }
+            current = row.parent_id;
         }
         stmt.free();
-        return roots;
+        return rootId;
     }
 
-    _requireNode(nodeId) {
-        const node = this._getNode(nodeId);
-        if (!node) {
-            throw new Error(`Node ${nodeId} not found`);
+    /**
+     * Resolve a node reference to a node id
+     * Accepts a plain node-id, @node-id, @root-id/node-id, or a path (all also without the @).
+     * The root-id form is checked: the node must belong to that docmem.
+     * A path walks down from a docmem root: each context-type:context-value segment names
+     * the one child with that label, and a plain node-id segment a node anywhere below, as in
+     * project/section:summer/feature:sunshine.
+     * @throws {Error} - When the node does not exist, is in a different docmem, or a path
+     *   segment matches no child or more than one
+     */
+    static resolveReference(reference) {
+        if (typeof reference !== 'string' || !reference.trim()) {
+            throw new Error('Node reference is required');
         }
-        return node;
-    }
+        const trimmed = reference.trim().replace(/^@/, '');
+        const segments = trimmed.split('/');
+        if (segments.length === 1) {
+            return trimmed;
+        }
+        if (segments.some(segment => !segment)) {
+            throw new Error(`Path ${trimmed} has an empty segment`);
+        }
+
+        const rootId = segments[0];
+        if (Docmem.getRootId(rootId) !== rootId) {
+            throw new Error(`Docmem ${rootId} not found`);
+        }
+        let currentId = rootId;
+        for (let i = 1; i < segments.length; i++) {
+            const segment = segments[i];
+            const walked = segments.slice(0, i).join('/');
+            if (segment.includes(':')) {
+                currentId = Docmem._resolveLabel(currentId, segment, walked, trimmed);
+                continue;
+            }
+            const actualRootId = Docmem.getRootId(segment);
+            if (actualRootId === null) {
+                throw new Error(`Node ${segment} not found`);
+            }
+            if (actualRootId !== rootId) {
+                throw new Error(`Node ${segment} is not in docmem ${rootId} (it is in ${actualRootId})`);
+            }
+            if (!Docmem._isBelow(segment, currentId)) {
+                throw new Error(`Node ${segment} is not under ${walked} in path ${trimmed}`);
+            }
+            currentId = segment;
+        }
+        return currentId;
+    }
+
+    /**
+     * The child of parentId labelled context-type:context-value, split at the first colon
+     * @throws {Error} - When no child or more than one child has the label
+     */
+    static _resolveLabel(parentId, label, walked, path) {
+        const colon = label.indexOf(':');
+        const contextType = label.substring(0, colon);
+        const contextValue = label.substring(colon + 1);
+        const stmt = sharedDatabase.prepare(`SELECT id, context_type, context_value FROM nodes WHERE parent_id = ? AND ${visibleNodeCondition()} ORDER BY order_value`);
+        stmt.bind([parentId]);
+        const children = [];
+        while (stmt.step()) {
+            children.push(stmt.getAsObject());
+        }
+        stmt.free();
+
+        const matches = children.filter(child => child.context_type === contextType && child.context_value === contextValue);
+        if (matches.length === 1) {
+            return matches[0].id;
+        }
+        if (matches.length > 1) {
+            throw new Error(`Path ${path} is ambiguous: ${label} matches ${matches.length} children of ${walked} (${matches.map(m => m.id).join(', ')}); use a node-id for this segment`);
+        }
+        const labels = [...new Set(children.map(child => `${child.context_type}:${child.context_value}`))];
+        const available = labels.length > 0 ? `children are ${labels.slice(0, 10).join(', ')}${labels.length > 10 ? ', ...' : ''}` : 'it has no children';
+        throw new Error(`Path ${path} not found: no child ${label} under ${walked} (${available})`);
+    }
+
+    /**
+     * Whether nodeId is a descendant of ancestorId, following parent pointers
+     */
+    static _isBelow(nodeId, ancestorId) {
+        const stmt = sharedDatabase.prepare('SELECT parent_id FROM nodes WHERE id = ?');
+        const seen = new Set();
+        let current = nodeId;
+        let found = false;
+        while (current && !seen.has(current)) {
+            seen.add(current);
+            stmt.bind([current]);
+            const row = stmt.step() ? stmt.getAsObject() : null;
+            stmt.reset();
+            current = row ? row.parent_id : null;
+            if (current === ancestorId) {
+                found = true;
+                break;
+            }
+        }
+        stmt.free();
+        return found;
+    }
+
+    /**
+     * Find @root-id/node-id and @node-id references in content
+     * @returns {Array<{reference: string, rootId: string|null, nodeId: string, index: number}>}
+     */
+    static findReferences(text) {
+        const references = [];
+        if (!text) {
+            return references;
+        }
+        for (const match of text.matchAll(NODE_REFERENCE_PATTERN)) {
+            // Skip e-mail addresses and other @ inside words
+            if (match.index > 0 && /[\w.]/.test(text[match.index - 1])) {
+                continue;
+            }
+            references.push({
+                reference: match[0],
+                rootId: match[2] ? match[1] : null,
+                nodeId: match[2] || match[1],
+                index: match.index
+            });
+        }
+        return references;
+    }
+
+    /**
+     * Nodes whose content mentions a tag or a node
+     * @param {string} reference - Tag (with or without the @), or a node reference as accepted by resolveReference
+     * @returns {Array<{node: Object, rootId: string, mention: string}>} - Mentioning nodes, one entry per mention
+     */
+    static backlinks(reference) {
+        if (!sharedDatabase) {
+            return [];
+        }
+        const target = reference && reference.includes('/')
+            ? Docmem.resolveReference(reference)
+            : (reference || '').trim().replace(/^@/, '');
+        if (!target) {
+            throw new Error('Tag or node reference is required');
+        }
+
+        const stmt = sharedDatabase.prepare(`
+            SELECT nodes.*, mentions.mention, mentions.root_id AS mention_root_id
+            FROM mentions JOIN nodes ON nodes.id = mentions.node_id
+            WHERE mentions.target_id = ? AND ${visibleNodeCondition()}
+            ORDER BY nodes.created_at, mentions.position
+        `);
+        stmt.bind([target]);
+        const targetRootId = Docmem.getRootId(target);
+        const results = [];
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            // @root-id/node-id mentions that name the wrong docmem do not link to the node
+            if (row.mention_root_id !== null && row.mention_root_id !== targetRootId) {
+                continue;
+            }
+            results.push({ node: Docmem._backlinkNode(row), rootId: Docmem.getRootId(row.id), mention: row.mention });
+        }
+        stmt.free();
+        return results;
+    }
+
+    /**
+     * Backlinks of every node in a docmem, in one query, for views that show them on each node
+     * @param {string} rootId - Docmem root id
+     * @returns {Map<string, Array<{node: Object, rootId: string, mention: string}>>} - Target node id ->
+     *   mentioning nodes, one entry per mentioning node
+     */
+    static backlinksInDocmem(rootId) {
+        const backlinksByTarget = new Map();
+        if (!sharedDatabase) {
+            return backlinksByTarget;
+        }
+        const stmt = sharedDatabase.prepare(`
+            WITH RECURSIVE subtree(id) AS (
+                SELECT ?
+                UNION ALL
+                SELECT nodes.id FROM nodes JOIN subtree ON nodes.parent_id = subtree.id WHERE ${visibleNodeCondition()}
+            )
+            SELECT nodes.*, mentions.mention, mentions.root_id AS mention_root_id, mentions.target_id
+            FROM mentions
+            JOIN subtree ON subtree.id = mentions.target_id
+            JOIN nodes ON nodes.id = mentions.node_id
+            WHERE ${visibleNodeCondition()} AND (mentions.root_id IS NULL OR mentions.root_id = ?)
+            ORDER BY nodes.created_at, mentions.position
+        `);
+        stmt.bind([rootId, rootId]);
+        const rootIds = new Map();
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            if (!backlinksByTarget.has(row.target_id)) {
+                backlinksByTarget.set(row.target_id, []);
+            }
+            const entries = backlinksByTarget.get(row.target_id);
+            if (entries.some(entry => entry.node.id === row.id)) {
+                continue;
+            }
+            if (!rootIds.has(row.id)) {
+                rootIds.set(row.id, Docmem.getRootId(row.id));
+            }
+            entries.push({ node: Docmem._backlinkNode(row), rootId: rootIds.get(row.id), mention: row.mention });
+        }
+        stmt.free();
+        return backlinksByTarget;
+    }
+
+    static _backlinkNode(row) {
+        return {
+            id: row.id,
+            parentId: row.parent_id,
+            text: row.text,
+            contextType: row.context_type,
+            contextName: row.context_name,
+            contextValue: row.context_value
+        };
+    }
+
+    /**
+     * Tags and node references mentioned in the content of a docmem or subtree
+     * @param {string} rootId - Docmem root id, or a node id to list the mentions below it
+     * @returns {Array<{tag: string, isNode: boolean, count: number, nodeIds: string[]}>} - Most mentioned first;
+     *   tag is the mention without the @, isNode is true when it names an existing node
+     */
+    static tags(rootId) {
+        if (!sharedDatabase) {
+            return [];
+        }
+        if (Docmem.getRootId(rootId) === null) {
+            throw new Error(`Node ${rootId} not found`);
+        }
+
+        const stmt = sharedDatabase.prepare(`
+            WITH RECURSIVE subtree(id) AS (
+                SELECT ?
+                UNION ALL
+                SELECT nodes.id FROM nodes JOIN subtree ON nodes.parent_id = subtree.id WHERE ${visibleNodeCondition()}
+            )
+            SELECT mentions.mention, mentions.target_id, mentions.node_id,
+                   EXISTS (SELECT 1 FROM nodes WHERE id = mentions.target_id AND ${visibleNodeCondition()}) AS is_node
+            FROM mentions JOIN subtree ON mentions.node_id = subtree.id
+            ORDER BY mentions.mention
+        `);
+        stmt.bind([rootId]);
+        const byTag = new Map();
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            if (!byTag.has(row.mention)) {
+                byTag.set(row.mention, { tag: row.mention, isNode: row.is_node === 1, count: 0, nodeIds: [] });
+            }
+            const entry = byTag.get(row.mention);
+            entry.count++;
+            if (!entry.nodeIds.includes(row.node_id)) {
+                entry.nodeIds.push(row.node_id);
+            }
+        }
+        stmt.free();
+        return [...byTag.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Check the integrity of the shared database
+     * @param {boolean} repair - Fix the problems found
+     * @returns {Array<{type: string, nodeId: string, detail: string, repair: string}>} - Problems found
+     */
+    static fsck(repair = false) {
+        if (!sharedDatabase) {
+            return [];
+        }
+        const issues = fsckDatabase(sharedDatabase, repair);
+        if (repair && issues.length > 0) {
+            schedulePersist();
+        }
+        return issues;
+    }
+
+    /**
+     * Keyword search over node text and context fields
+     * @param {string} scopeId - Root id or node id to search within, or '*' for all docmems
+     * @param {string} terms - Space-separated terms; all must match, term* matches a prefix
+     * @param {Object} options - { limit, open, close } where open/close mark matches in the snippet
+     * @returns {Array<{node: Object, rootId: string, snippet: string, ancestors: Object[]}>} - Best matches first
+     */
+    static search(scopeId, terms, options = {}) {
+        const { limit = 20, open = '[', close = ']' } = options;
+        if (!sharedDatabase) {
+            return [];
+        }
+        const match = toMatchExpression(terms || '');
+        if (!match) {
+            throw new Error('search terms are required');
+        }
+
+        const stmt = sharedDatabase.prepare(`
+            SELECT nodes.*, snippet(nodes_fts, ?, ?, '...', -1, 12) AS snippet, offsets(nodes_fts) AS offsets
+            FROM nodes_fts JOIN nodes ON nodes.rowid = nodes_fts.docid
+            WHERE nodes_fts MATCH ? AND ${visibleNodeCondition()}
+        `);
+        stmt.bind([open, close, match]);
+        const rows = [];
+        while (stmt.step()) {
+            rows.push(stmt.getAsObject());
+        }
+        stmt.free();
+
+        const parentStmt = sharedDatabase.prepare('SELECT id, parent_id, context_type, context_name, context_value FROM nodes WHERE id = ?');
+        const lookup = (id) => {
+            parentStmt.bind([id]);
+            const row = parentStmt.step() ? parentStmt.getAsObject() : null;
+            parentStmt.reset();
+            return row;
+        };
+
+        const results = [];
+        for (const row of rows) {
+            // Walk parent pointers to build the breadcrumb, root first
+            const ancestors = [];
+            const seen = new Set([row.id]);
+            let parentId = row.parent_id;
+            while (parentId && !seen.has(parentId)) {
+                const parent = lookup(parentId);
+                if (!parent) break;
+                seen.add(parentId);
+                ancestors.unshift({
+                    id: parent.id,
+                    contextType: parent.context_type,
+                    contextName: parent.context_name,
+                    contextValue: parent.context_value
+                });
+                parentId = parent.parent_id;
+            }
+            const rootId = ancestors.length > 0 ? ancestors[0].id : row.id;
+            if (scopeId !== '*' && row.id !== scopeId && !ancestors.some(ancestor => ancestor.id === scopeId)) {
+                continue;
+            }
+            results.push({
+                node: {
+                    id: row.id,
+                    parentId: row.parent_id,
+                    text: row.text,
+                    contextType: row.context_type,
+                    contextName: row.context_name,
+                    contextValue: row.context_value
+                },
+                rootId,
+                snippet: row.snippet,
+                ancestors,
+                // offsets() lists four integers per matched term occurrence
+                hitCount: row.offsets.split(' ').length / 4
+            });
+        }
+        parentStmt.free();
+
+        return results
+            .sort((a, b) => b.hitCount - a.hitCount)
+            .slice(0, limit);
+    }
+
+    /**
+     * Replace the embedder used for semantic search
+     * Stored vectors from a different embedder are recomputed the next time they are queried.
+     * @param {{name: string, dimensions: number, embed: function(string): Float32Array}} embedder
+     */
+    static setEmbedder(embedder) {
+        if (!embedder || typeof embedder.embed !== 'function' || !embedder.name) {
+            throw new Error('Embedder must have a name and an embed(text) function');
+        }
+        activeEmbedder = embedder;
+    }
+
+    /**
+     * Trashed subtrees, newest first
+     * @param {string|null} rootId - Docmem whose trash to list, or null for all docmems
+     * @returns {Array<{node: Node, rootId: string, parentId: string, order: number, trashedAt: string, nodeCount: number}>}
+     */
+    static trashList(rootId = null) {
+        if (!sharedDatabase) {
+            return [];
+        }
+        const stmt = sharedDatabase.prepare(`
+            SELECT nodes.*, (SELECT COUNT(*) FROM nodes AS member WHERE member.trashed_in = nodes.id) AS node_count
+            FROM nodes
+            WHERE nodes.trashed_in = nodes.id
+            ORDER BY nodes.trashed_at DESC
+        `);
+        const entries = [];
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            const entryRootId = Docmem.getRootId(row.id);
+            if (rootId && entryRootId !== rootId) {
+                continue;
+            }
+            entries.push({
+                node: Docmem.prototype._rowToNode(row),
+                rootId: entryRootId,
+                parentId: row.parent_id,
+                order: row.order_value,
+                trashedAt: row.trashed_at,
+                nodeCount: row.node_count
+            });
+        }
+        stmt.free();
+        return entries;
+    }
+
+    static getAllRoots() {
+        if (!sharedDatabase) {
+            return [];
+        }
+        const stmt = sharedDatabase.prepare('SELECT * FROM nodes WHERE parent_id IS NULL ORDER BY created_at');
+        const roots = [];
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            roots.push({
+                id: row.id,
+                parentId: row.parent_id,
+                text: row.text,
+                order: row.order_value,
+                tokenCount: row.token_count,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at,
+                contextType: row.context_type,
+                contextName: row.context_name,
+                contextValue: row.context_value
+            });
+        }
+        stmt.free();
+        return roots;
+    }
+
+    _requireNode(nodeId) {
+        const node = this._getNode(nodeId);
+        if (!node) {
+            throw new Error(`Node ${nodeId} not found`);
+        }
+        return node;
+    }
 
     _getSortedChildren(parentId) {
         const children = this._getChildren(parentId);
@@ -384,6 +1700,75 @@ class Docmem {
         }
     }
 
+    /**
+     * Order value for a new sibling placed before or after the target node
+     * When interpolation would land within ORDER_EPSILON of a neighbour (or not strictly
+     * between them), the parent's children are renumbered first and the order recomputed.
+     * @param {Node} targetNode - Sibling to place next to
+     * @param {string} position - 'before' or 'after'
+     */
+    _calculateOrderForSibling(targetNode, position) {
+        const calculate = () => {
+            const sortedChildren = this._getSortedChildren(targetNode.parentId);
+            const targetIdx = this._findTargetIndexInSorted(sortedChildren, targetNode.id);
+            const target = sortedChildren[targetIdx];
+            if (position === 'before') {
+                const neighbour = sortedChildren[targetIdx - 1];
+                const order = this._calculateOrderForBefore(target, sortedChildren, targetIdx);
+                const fits = !neighbour || (order - neighbour.order >= ORDER_EPSILON && target.order - order >= ORDER_EPSILON);
+                return { order, fits };
+            }
+            const neighbour = sortedChildren[targetIdx + 1];
+            const order = this._calculateOrderForAfter(target, sortedChildren, targetIdx);
+            const fits = !neighbour || (order - target.order >= ORDER_EPSILON && neighbour.order - order >= ORDER_EPSILON);
+            return { order, fits };
+        };
+
+        const first = calculate();
+        if (first.fits) {
+            return first.order;
+        }
+        this.reorder(targetNode.parentId);
+        return calculate().order;
+    }
+
+    /**
+     * Renumber the children of a parent 1, 2, 3... in their current reading order
+     * Runs in a single savepoint so a failure leaves the original orders in place.
+     * @returns {Node[]} - Children in reading order with their new order values
+     */
+    reorder(parent_id) {
+        return this._undoable('reorder', parent_id, () => {
+            this._requireNode(parent_id);
+            const sortedChildren = [...this._getChildren(parent_id)]
+                .sort((a, b) => a.order - b.order || a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+
+            this.db.run('SAVEPOINT reorder');
+            try {
+                sortedChildren.forEach((child, index) => {
+                    const newOrder = index + 1.0;
+                    if (child.order === newOrder) {
+                        return;
+                    }
+                    this._ensureBaselineRevision(child.id);
+                    const stmt = this.db.prepare('UPDATE nodes SET order_value = ? WHERE id = ?');
+                    stmt.bind([newOrder, child.id]);
+                    stmt.step();
+                    stmt.free();
+                    this._recordRevision(child.id, 'reorder');
+                    child.order = newOrder;
+                });
+                this.db.run('RELEASE reorder');
+            } catch (error) {
+                this.db.run('ROLLBACK TO reorder');
+                this.db.run('RELEASE reorder');
+                throw error;
+            }
+            schedulePersist();
+            return sortedChildren;
+        });
+    }
+
     _findTargetIndexInSorted(sortedChildren, nodeId) {
         const targetIdx = sortedChildren.findIndex(n => n.id === nodeId);
         if (targetIdx === -1) {
@@ -425,6 +1810,7 @@ class Docmem {
     }
 
     _updateNodeParentAndOrder(nodeId, newParentId, newOrder) {
+        this._ensureBaselineRevision(nodeId);
         const stmt = this.db.prepare(`
             UPDATE nodes
             SET parent_id = ?, order_value = ?, updated_at = ?
@@ -434,11 +1820,39 @@ class Docmem {
         stmt.bind([newParentId, newOrder, updatedAt, nodeId]);
         stmt.step();
         stmt.free();
+        this._recordRevision(nodeId, 'move');
+        schedulePersist();
         return this._getNode(nodeId);
     }
 
+    /**
+     * Random node id that is not used by any node in the shared database, trashed and expired ones included
+     */
+    _generateNodeId() {
+        return this._generateUnusedId('id', 'node id');
+    }
+
+    /**
+     * Random id that no row of the nodes table has in column
+     * @param {string} column - Column of nodes to check (not user input)
+     * @param {string} description - What the id is, for the error message
+     */
+    _generateUnusedId(column, description) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const id = randomString(8);
+            const stmt = this.db.prepare(`SELECT 1 FROM nodes WHERE ${column} = ?`);
+            stmt.bind([id]);
+            const taken = stmt.step();
+            stmt.free();
+            if (!taken) {
+                return id;
+            }
+        }
+        throw new Error(`Could not generate a unique ${description}`);
+    }
+
     _createNodeWithContext(parentId, content, order, contextType, contextName, contextValue) {
-        const newNodeId = randomString(8);
+        const newNodeId = this._generateNodeId();
         return new Node(
             newNodeId,
             parentId,
@@ -453,116 +1867,934 @@ class Docmem {
         );
     }
 
-    append_child(node_id, context_type, context_name, context_value, content) {
-        this._requireNode(node_id);
-        const newOrder = this._calculateOrderForAppend(node_id);
-        const node = this._createNodeWithContext(node_id, content, newOrder, context_type, context_name, context_value);
-        this._insertNode(node);
-        return node;
+    append_child(node_id, context_type, context_name, context_value, content, ttl = null) {
+        return this._undoable('append_child', node_id, () => {
+            this._requireNode(node_id);
+            this._validateContextSchema(node_id, context_type, context_name, context_value);
+            const newOrder = this._calculateOrderForAppend(node_id);
+            const node = this._createNodeWithContext(node_id, content, newOrder, context_type, context_name, context_value);
+            node.expiresAt = this._expiryForChild(node_id, ttl);
+            this._insertNode(node);
+            schedulePersist();
+            return node;
+        });
     }
 
-    insert_before(node_id, context_type, context_name, context_value, content) {
-        const targetNode = this._requireNode(node_id);
+    insert_before(node_id, context_type, context_name, context_value, content, ttl = null) {
+        return this._undoable('insert_before', node_id, () => {
+            const targetNode = this._requireNode(node_id);
         
-        const parentId = targetNode.parentId;
-        if (!parentId) {
-            throw new Error('Cannot insert before root node');
-        }
+            const parentId = targetNode.parentId;
+            if (!parentId) {
+                throw new Error('Cannot insert before root node');
+            }
+            this._validateContextSchema(parentId, context_type, context_name, context_value);
         
-        const sortedChildren = this._getSortedChildren(parentId);
-        const targetIdx = this._findTargetIndexInSorted(sortedChildren, node_id);
-        const newOrder = this._calculateOrderForBefore(targetNode, sortedChildren, targetIdx);
+            const newOrder = this._calculateOrderForSibling(targetNode, 'before');
         
-        const node = this._createNodeWithContext(parentId, content, newOrder, context_type, context_name, context_value);
-        this._insertNode(node);
-        return node;
+            const node = this._createNodeWithContext(parentId, content, newOrder, context_type, context_name, context_value);
+            // A node inserted inside a sticky group joins it
+            node.stickyGroup = this._stickyGroupAt(parentId, newOrder);
+            node.expiresAt = this._expiryForChild(parentId, ttl);
+            this._insertNode(node);
+            schedulePersist();
+            return node;
+        });
     }
 
-    insert_after(node_id, context_type, context_name, context_value, content) {
-        const targetNode = this._requireNode(node_id);
+    insert_after(node_id, context_type, context_name, context_value, content, ttl = null) {
+        return this._undoable('insert_after', node_id, () => {
+            const targetNode = this._requireNode(node_id);
         
-        const parentId = targetNode.parentId;
-        if (!parentId) {
-            throw new Error('Cannot insert after root node');
-        }
+            const parentId = targetNode.parentId;
+            if (!parentId) {
+                throw new Error('Cannot insert after root node');
+            }
+            this._validateContextSchema(parentId, context_type, context_name, context_value);
         
-        const sortedChildren = this._getSortedChildren(parentId);
-        const targetIdx = this._findTargetIndexInSorted(sortedChildren, node_id);
-        const newOrder = this._calculateOrderForAfter(targetNode, sortedChildren, targetIdx);
+            const newOrder = this._calculateOrderForSibling(targetNode, 'after');
         
-        const node = this._createNodeWithContext(parentId, content, newOrder, context_type, context_name, context_value);
-        this._insertNode(node);
-        return node;
+            const node = this._createNodeWithContext(parentId, content, newOrder, context_type, context_name, context_value);
+            // A node inserted inside a sticky group joins it
+            node.stickyGroup = this._stickyGroupAt(parentId, newOrder);
+            node.expiresAt = this._expiryForChild(parentId, ttl);
+            this._insertNode(node);
+            schedulePersist();
+            return node;
+        });
     }
 
+    /**
+     * Move a node and its subtree to the trash of its docmem
+     * The nodes keep their parent and order so restore() can put them back; until then they are
+     * hidden from every read. Deleting a docmem root removes the whole docmem permanently.
+     */
     delete(node_id) {
-        this._requireNode(node_id);
+        return this._undoable('delete', node_id, () => {
+            const node = this._requireNode(node_id);
+            if (!node.parentId) {
+                this._purgeNode(node_id);
+                schedulePersist();
+                return;
+            }
+            // Subtrees trashed earlier keep their own trash entry
+            this.db.run(`
+                WITH RECURSIVE subtree(id) AS (
+                    SELECT ?
+                    UNION ALL
+                    SELECT nodes.id FROM nodes JOIN subtree ON nodes.parent_id = subtree.id WHERE nodes.trashed_in IS NULL
+                )
+                UPDATE nodes SET trashed_in = ?, trashed_at = ? WHERE id IN (SELECT id FROM subtree)
+            `, [node_id, node_id, new Date().toISOString()]);
+            schedulePersist();
+        });
+    }
+
+    /**
+     * Bring a trashed subtree back under its original parent
+     * It returns to its old order unless a sibling took it; a place inside another sticky group
+     * moves it after that group.
+     * @throws {Error} - When the node is not in the trash, its parent is still in the trash,
+     *   or the docmem's context schema no longer allows it
+     */
+    restore(node_id) {
+        return this._undoable('restore', node_id, () => {
+            const row = this._getTrashedRow(node_id);
+            if (!row) {
+                throw new Error(`Node ${node_id} is not in the trash`);
+            }
+            if (!this._getNode(row.parent_id)) {
+                const parentEntry = this._getTrashEntryOf(row.parent_id);
+                throw new Error(`Cannot restore ${node_id}: its parent ${row.parent_id} is in the trash${parentEntry ? `; restore ${parentEntry} first` : ''}`);
+            }
+
+            this.db.run('SAVEPOINT restore');
+            try {
+                // Placed while still trashed, so the node is not among the siblings it is placed between
+                const { order, stickyGroup } = this._restoredPlacement(this._rowToNode(row));
+                // Nodes that expired while in the trash come back without their expiry
+                this.db.run('UPDATE nodes SET expires_at = NULL WHERE trashed_in = ? AND expires_at <= ?', [node_id, new Date().toISOString()]);
+                this.db.run('UPDATE nodes SET trashed_in = NULL, trashed_at = NULL WHERE trashed_in = ?', [node_id]);
+                this.db.run('UPDATE nodes SET order_value = ?, sticky_group = ? WHERE id = ?', [order, stickyGroup, node_id]);
+
+                const node = this._getNode(node_id);
+                this._validateContextSchema(node.parentId, node.contextType, node.contextName, node.contextValue);
+                this._validateSubtreeSchema(node, Docmem.getRootId(node.parentId));
+                this.db.run('RELEASE restore');
+            } catch (error) {
+                this.db.run('ROLLBACK TO restore');
+                this.db.run('RELEASE restore');
+                throw error;
+            }
+            schedulePersist();
+            return this._getNode(node_id);
+        });
+    }
+
+    /**
+     * Order and sticky group for a node coming back from the trash
+     */
+    _restoredPlacement(node) {
+        const siblings = this._getSortedChildren(node.parentId);
+        let order = node.order;
+        const taken = siblings.find(n => n.order === order);
+        if (taken) {
+            order = this._calculateOrderForSibling(taken, 'after');
+        }
+        const group = this._stickyGroupAt(node.parentId, order, new Set([node.id]));
+        if (group && group !== node.stickyGroup) {
+            const lastMember = this._getSortedChildren(node.parentId).filter(n => n.stickyGroup === group).pop();
+            return { order: this._calculateOrderForSibling(lastMember, 'after'), stickyGroup: null };
+        }
+        // Rejoin the old group only when back next to one of its members
+        const before = siblings.filter(n => n.order < order).pop();
+        const after = siblings.find(n => n.order > order);
+        const nextToGroup = [before, after].some(n => n && node.stickyGroup && n.stickyGroup === node.stickyGroup);
+        return { order, stickyGroup: group || (nextToGroup ? node.stickyGroup : null) };
+    }
+
+    /**
+     * Permanently delete trashed subtrees
+     * @param {string} node_id - A trashed node to purge, or a docmem root to empty its trash
+     * @returns {string[]} - Ids of the purged trash entries
+     */
+    purge(node_id) {
+        return this._undoable('purge', node_id, () => {
+            let entries;
+            if (this._getTrashedRow(node_id)) {
+                entries = [node_id];
+            } else if (this._getRootById(node_id)) {
+                entries = Docmem.trashList(node_id).map(entry => entry.node.id);
+            } else {
+                throw new Error(`Node ${node_id} is not in the trash and is not a docmem root`);
+            }
+            entries.forEach(id => this._purgeNode(id));
+            schedulePersist();
+            return entries;
+        });
+    }
+
+    _purgeNode(nodeId) {
         const stmt = this.db.prepare('DELETE FROM nodes WHERE id = ?');
-        stmt.bind([node_id]);
+        stmt.bind([nodeId]);
         stmt.step();
         stmt.free();
     }
 
+    /**
+     * Raw row of a node that is the top of a trash entry, or null
+     */
+    _getTrashedRow(nodeId) {
+        const stmt = this.db.prepare('SELECT * FROM nodes WHERE id = ? AND trashed_in = id');
+        stmt.bind([nodeId]);
+        const row = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        return row;
+    }
+
+    /**
+     * Id of the trash entry a trashed node belongs to, or null
+     */
+    _getTrashEntryOf(nodeId) {
+        const stmt = this.db.prepare('SELECT trashed_in FROM nodes WHERE id = ?');
+        stmt.bind([nodeId]);
+        const entry = stmt.step() ? stmt.getAsObject().trashed_in : null;
+        stmt.free();
+        return entry;
+    }
+
     update_content(node_id, content) {
-        const node = this._requireNode(node_id);
+        return this._undoable('update_content', node_id, () => {
+            const node = this._requireNode(node_id);
         
-        // Create a temporary node to calculate token count
-        const tempNode = new Node(node_id, node.parentId, content, node.order, null, null, null, node.contextType, node.contextName, node.contextValue);
-        node.text = content;
-        node.tokenCount = tempNode.tokenCount;
-        node.updatedAt = new Date().toISOString();
-        this._updateNode(node);
-        return node;
+            // Create a temporary node to calculate token count
+            const tempNode = new Node(node_id, node.parentId, content, node.order, null, null, null, node.contextType, node.contextName, node.contextValue);
+            node.text = content;
+            node.tokenCount = tempNode.tokenCount;
+            node.tokenizer = tempNode.tokenizer;
+            node.updatedAt = new Date().toISOString();
+            this._updateNode(node);
+            schedulePersist();
+            return node;
+        });
     }
 
     update_context(node_id, context_type, context_name, context_value) {
-        const node = this._requireNode(node_id);
+        return this._undoable('update_context', node_id, () => {
+            const node = this._requireNode(node_id);
+            if (node.parentId) {
+                this._validateContextSchema(node.parentId, context_type, context_name, context_value, this._getChildren(node_id));
+            }
         
-        node.contextType = context_type;
-        node.contextName = context_name;
-        node.contextValue = context_value;
-        node.updatedAt = new Date().toISOString();
-        this._updateNodeContext(node);
-        return node;
+            node.contextType = context_type;
+            node.contextName = context_name;
+            node.contextValue = context_value;
+            node.updatedAt = new Date().toISOString();
+            this._updateNodeContext(node);
+            schedulePersist();
+            return node;
+        });
     }
 
-    find(node_id) {
-        return this._getNode(node_id);
+    /**
+     * Set how important a node is when expanding to a token budget
+     * @param {string} level - One of PRIORITY_LEVELS: must, high, normal, low
+     */
+    set_priority(node_id, level) {
+        return this._undoable('set_priority', node_id, () => {
+            this._requireNode(node_id);
+            if (!PRIORITY_LEVELS.includes(level)) {
+                throw new Error(`Priority must be one of ${PRIORITY_LEVELS.join(', ')}, got: ${level}`);
+            }
+            const stmt = this.db.prepare('UPDATE nodes SET priority = ?, updated_at = ? WHERE id = ?');
+            stmt.bind([level, new Date().toISOString(), node_id]);
+            stmt.step();
+            stmt.free();
+            schedulePersist();
+            return this._getNode(node_id);
+        });
     }
 
-    move_append_child(node_id, target_parent_id) {
-        this._requireNode(node_id);
-        this._requireNode(target_parent_id);
-        this._validateCycleBeforeMove(node_id, target_parent_id);
+    /**
+     * Give a node a time-to-live; once it passes, the node and its subtree are hidden from every
+     * read until sweep_expired() trashes or summarizes them
+     * Descendants expire no later than the node; those that shared its old expiry follow the new one.
+     * @param {string|null} duration - Such as 30m or 1h30m; null, none or off clears the expiry
+     * @returns {Node} - The node with its new expiresAt
+     */
+    set_ttl(node_id, duration) {
+        return this._undoable('set_ttl', node_id, () => {
+            const node = this._requireNode(node_id);
+            if (!node.parentId) {
+                throw new Error('Cannot set a time-to-live on a docmem root');
+            }
+            const cleared = duration === null || ['none', 'off'].includes(String(duration).trim().toLowerCase());
+            const expiresAt = cleared ? null : expiryAfter(duration);
+            this.db.run(`
+                WITH RECURSIVE subtree(id) AS (
+                    SELECT ?
+                    UNION ALL
+                    SELECT nodes.id FROM nodes JOIN subtree ON nodes.parent_id = subtree.id WHERE ${visibleNodeCondition()}
+                )
+                UPDATE nodes SET expires_at = ?
+                WHERE id IN (SELECT id FROM subtree)
+                  AND (id = ? OR expires_at IS ? OR (? IS NOT NULL AND (expires_at IS NULL OR expires_at > ?)))
+            `, [node_id, expiresAt, node_id, node.expiresAt, expiresAt, expiresAt]);
+            schedulePersist();
+            return this._getNode(node_id);
+        });
+    }
 
-        const newOrder = this._calculateOrderForAppend(target_parent_id);
-        return this._updateNodeParentAndOrder(node_id, target_parent_id, newOrder);
+    /**
+     * Expiry for a new child of parentId: its own time-to-live, capped by the parent's expiry
+     */
+    _expiryForChild(parentId, ttl) {
+        const own = expiryAfter(ttl);
+        const parent = this._getNode(parentId);
+        const inherited = parent ? parent.expiresAt : null;
+        if (!own || !inherited) {
+            return own || inherited;
+        }
+        return own < inherited ? own : inherited;
     }
 
-    move_before(node_id, target_node_id) {
-        this._requireNode(node_id);
-        const targetNode = this._requireNode(target_node_id);
-        this._validateCycleBeforeMoveSibling(node_id, targetNode, 'before');
+    /**
+     * Clean up the expired nodes of a docmem
+     * Each run of consecutive expired siblings goes to the trash or, with collapse, stays in the
+     * tree under a new summary listing what expired. A run the context schema or a sticky group
+     * will not let be summarized goes to the trash instead. Swept nodes lose their expiry, so
+     * restoring them from the trash brings them back visible.
+     * @returns {{collapsed: Node[], trashed: string[]}} - The new summaries and the trashed node ids
+     */
+    sweep_expired(root_id, collapse = false) {
+        return this._undoable('sweep_expired', root_id, () => {
+            if (!this._getRootById(root_id)) {
+                throw new Error(`Docmem ${root_id} not found`);
+            }
+            const now = new Date().toISOString();
+
+            // Topmost expired nodes: the walk does not go below them
+            const stmt = this.db.prepare(`
+                WITH RECURSIVE subtree(id, expired) AS (
+                    SELECT ?, 0
+                    UNION ALL
+                    SELECT nodes.id, nodes.expires_at IS NOT NULL AND nodes.expires_at <= ?
+                    FROM nodes JOIN subtree ON nodes.parent_id = subtree.id
+                    WHERE subtree.expired = 0 AND nodes.trashed_in IS NULL
+                )
+                SELECT nodes.id, nodes.parent_id FROM nodes JOIN subtree ON nodes.id = subtree.id
+                WHERE subtree.expired = 1
+            `);
+            stmt.bind([root_id, now]);
+            const expiredByParent = new Map();
+            while (stmt.step()) {
+                const row = stmt.getAsObject();
+                if (!expiredByParent.has(row.parent_id)) {
+                    expiredByParent.set(row.parent_id, new Set());
+                }
+                expiredByParent.get(row.parent_id).add(row.id);
+            }
+            stmt.free();
 
-        const targetParentId = targetNode.parentId;
-        const sortedChildren = this._getSortedChildren(targetParentId);
-        const targetIdx = this._findTargetIndexInSorted(sortedChildren, target_node_id);
-        const newOrder = this._calculateOrderForBefore(targetNode, sortedChildren, targetIdx);
+            const result = { collapsed: [], trashed: [] };
+            const trash = (ids) => {
+                ids.forEach(id => this.delete(id));
+                result.trashed.push(...ids);
+            };
+            for (const [parentId, expiredIds] of expiredByParent) {
+                expiredIds.forEach(id => this._clearExpiry(id, now));
+                if (!collapse) {
+                    trash([...expiredIds]);
+                    continue;
+                }
+
+                let siblings = this._getSortedChildren(parentId);
+                if (new Set(siblings.map(n => n.order)).size !== siblings.length) {
+                    // A node placed while its neighbours were hidden can share an order with one of them
+                    this.reorder(parentId);
+                    siblings = this._getSortedChildren(parentId);
+                }
+                const runs = [];
+                let run = [];
+                for (const sibling of siblings) {
+                    if (expiredIds.has(sibling.id)) {
+                        run.push(sibling);
+                    } else if (run.length > 0) {
+                        runs.push(run);
+                        run = [];
+                    }
+                }
+                if (run.length > 0) {
+                    runs.push(run);
+                }
 
-        return this._updateNodeParentAndOrder(node_id, targetParentId, newOrder);
+                for (const nodes of runs) {
+                    this.db.run('SAVEPOINT sweep_expired');
+                    try {
+                        // The chat's summary context, so a collapsed run still reaches the model
+                        result.collapsed.push(this._insertSummaryOver(parentId, nodes, this._expiredDigest(nodes), 'summary', 'role', 'tool'));
+                        this.db.run('RELEASE sweep_expired');
+                    } catch (error) {
+                        this.db.run('ROLLBACK TO sweep_expired');
+                        this.db.run('RELEASE sweep_expired');
+                        trash(nodes.map(n => n.id));
+                    }
+                }
+            }
+            schedulePersist();
+            return result;
+        });
     }
 
-    move_after(node_id, target_node_id) {
-        this._requireNode(node_id);
-        const targetNode = this._requireNode(target_node_id);
-        this._validateCycleBeforeMoveSibling(node_id, targetNode, 'after');
+    /**
+     * Clear the expiry of a node and of the descendants that expired with it
+     */
+    _clearExpiry(nodeId, now) {
+        this.db.run(`
+            WITH RECURSIVE subtree(id) AS (
+                SELECT ?
+                UNION ALL
+                SELECT nodes.id FROM nodes JOIN subtree ON nodes.parent_id = subtree.id WHERE nodes.trashed_in IS NULL
+            )
+            UPDATE nodes SET expires_at = NULL WHERE id IN (SELECT id FROM subtree) AND expires_at <= ?
+        `, [nodeId, now]);
+    }
 
-        const targetParentId = targetNode.parentId;
-        const sortedChildren = this._getSortedChildren(targetParentId);
-        const targetIdx = this._findTargetIndexInSorted(sortedChildren, target_node_id);
-        const newOrder = this._calculateOrderForAfter(targetNode, sortedChildren, targetIdx);
+    /**
+     * Summary text for a run of expired nodes: a count and the first line of each
+     */
+    _expiredDigest(nodes) {
+        const lines = nodes.map(node => `- ${node.contextType} ${node.contextName}:${node.contextValue} ${(node.text || '').split('\n')[0].substring(0, 80)}`);
+        return [`Expired ${nodes.length} node${nodes.length === 1 ? '' : 's'}:`, ...lines].join('\n');
+    }
 
-        return this._updateNodeParentAndOrder(node_id, targetParentId, newOrder);
+    find(node_id) {
+        return this._getNode(node_id);
+    }
+
+    history(node_id) {
+        if (!this._getNode(node_id)) {
+            const archived = this._getArchivedSummary(node_id);
+            if (archived) {
+                return archived.revisions;
+            }
+        }
+        this._requireNode(node_id);
+        const stmt = this.db.prepare('SELECT * FROM revisions WHERE node_id = ? ORDER BY revision');
+        stmt.bind([node_id]);
+        const revisions = [];
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            revisions.push({
+                revision: row.revision,
+                changeType: row.change_type,
+                origin: row.origin,
+                createdAt: row.created_at,
+                parentId: row.parent_id,
+                text: row.text,
+                order: row.order_value,
+                contextType: row.context_type,
+                contextName: row.context_name,
+                contextValue: row.context_value
+            });
+        }
+        stmt.free();
+        return revisions;
+    }
+
+    revert(node_id, revision) {
+        return this._undoable('revert', node_id, () => {
+            const node = this._requireNode(node_id);
+            const target = this.history(node_id).find(r => r.revision === revision);
+            if (!target) {
+                throw new Error(`Revision ${revision} not found for node ${node_id}`);
+            }
+
+            if (target.parentId !== node.parentId) {
+                if (target.parentId === null || node.parentId === null) {
+                    throw new Error(`Cannot revert node ${node_id} to revision ${revision}: it would change whether the node is a root`);
+                }
+                this._requireNode(target.parentId);
+                this._validateCycleBeforeMove(node_id, target.parentId);
+            }
+            if (target.parentId) {
+                this._validateContextSchema(target.parentId, target.contextType, target.contextName, target.contextValue, this._getChildren(node_id));
+            }
+
+            const order = this._revertedOrder(node, target);
+            const tempNode = new Node(node_id, target.parentId, target.text, order, null, null, null, target.contextType, target.contextName, target.contextValue);
+            const stmt = this.db.prepare(`
+                UPDATE nodes
+                SET parent_id = ?, order_value = ?, text = ?, token_count = ?, tokenizer = ?, context_type = ?, context_name = ?, context_value = ?, updated_at = ?
+                WHERE id = ?
+            `);
+            stmt.bind([
+                target.parentId,
+                order,
+                target.text,
+                tempNode.tokenCount,
+                tempNode.tokenizer,
+                target.contextType,
+                target.contextName,
+                target.contextValue,
+                new Date().toISOString(),
+                node_id
+            ]);
+            stmt.step();
+            stmt.free();
+            this._recordRevision(node_id, 'revert');
+            this._updateEmbedding(node_id, target.text);
+            indexMentions(this.db, node_id, target.text);
+            schedulePersist();
+            return this._getNode(node_id);
+        });
+    }
+
+    /**
+     * Order for a node reverted to a revision: the revision's order, or just after the sibling
+     * that has taken it since
+     * Sticky groups follow the move rules: a group member cannot be moved out of its group, and a
+     * place inside another group moves the node after that group, as restore does.
+     * @throws {Error} - When the revert would move a member of a sticky group
+     */
+    _revertedOrder(node, target) {
+        if (target.parentId === node.parentId && target.order === node.order) {
+            return node.order;
+        }
+        if (this._groupMembers(node).length > 1) {
+            throw new Error(`Cannot revert node ${node.id} to revision ${target.revision}: it would move the node out of sticky group ${node.stickyGroup}; unstick it first`);
+        }
+        const order = this._revertedFreeOrder(node, target);
+        const group = this._stickyGroupAt(target.parentId, order, new Set([node.id]));
+        if (!group) {
+            return order;
+        }
+        const lastMember = this._getSortedChildren(target.parentId).filter(n => n.stickyGroup === group).pop();
+        const next = this._getSortedChildren(target.parentId).find(n => n.order > lastMember.order);
+        if (next && next.id === node.id) {
+            return node.order;
+        }
+        return this._calculateOrderForSibling(lastMember, 'after');
+    }
+
+    _revertedFreeOrder(node, target) {
+        const siblings = this._getSortedChildren(target.parentId);
+        const takenIdx = siblings.findIndex(n => n.order === target.order && n.id !== node.id);
+        if (takenIdx === -1) {
+            return target.order;
+        }
+        // Already placed after that sibling by an earlier revert
+        const next = siblings[takenIdx + 1];
+        if (next && next.id === node.id) {
+            return node.order;
+        }
+        return this._calculateOrderForSibling(siblings[takenIdx], 'after');
+    }
+
+    move_append_child(node_id, target_parent_id) {
+        return this._undoable('move_append_child', node_id, () => {
+            const node = this._requireNode(node_id);
+            this._requireNode(target_parent_id);
+            const unit = this._groupMembers(node);
+            unit.forEach(member => this._validateCycleBeforeMove(member.id, target_parent_id));
+
+            return this._moveUnit(unit, target_parent_id, () => this._calculateOrderForAppend(target_parent_id));
+        });
+    }
+
+    move_before(node_id, target_node_id) {
+        return this._undoable('move_before', node_id, () => {
+            const node = this._requireNode(node_id);
+            const targetNode = this._requireNode(target_node_id);
+            const unit = this._validateUnitMoveSibling(node, targetNode, 'before');
+
+            return this._moveUnit(unit, targetNode.parentId, () => this._calculateOrderForSibling(targetNode, 'before'));
+        });
+    }
+
+    move_after(node_id, target_node_id) {
+        return this._undoable('move_after', node_id, () => {
+            const node = this._requireNode(node_id);
+            const targetNode = this._requireNode(target_node_id);
+            const unit = this._validateUnitMoveSibling(node, targetNode, 'after');
+
+            return this._moveUnit(unit, targetNode.parentId, () => this._calculateOrderForSibling(targetNode, 'after'));
+        });
+    }
+
+    _validateUnitMoveSibling(node, targetNode, operation) {
+        const unit = this._groupMembers(node);
+        if (unit.length > 1 && unit.some(member => member.id === targetNode.id)) {
+            throw new Error(`Cannot move sticky group ${node.stickyGroup} ${operation} its own member ${targetNode.id}`);
+        }
+        unit.forEach(member => this._validateCycleBeforeMoveSibling(member.id, targetNode, operation));
+        return unit;
+    }
+
+    /**
+     * Move a node, or all members of its sticky group in their current order, to a new position
+     * @param {Node[]} unit - The node or its group members, sorted by order
+     * @param {Function} firstOrder - Computes the order value for the first member
+     * @returns {Node} - The first moved node
+     */
+    _moveUnit(unit, newParentId, firstOrder) {
+        const destinationRootId = Docmem.getRootId(newParentId);
+        for (const member of unit) {
+            this._validateContextSchema(newParentId, member.contextType, member.contextName, member.contextValue);
+            if (Docmem.getRootId(member.id) !== destinationRootId) {
+                this._validateSubtreeSchema(member, destinationRootId);
+            }
+        }
+
+        const order = firstOrder();
+        const movingIds = new Set(unit.map(n => n.id));
+        const group = this._stickyGroupAt(newParentId, order, movingIds);
+        if (group) {
+            throw new Error(`Cannot move into the middle of sticky group ${group}`);
+        }
+        if (unit.length === 1) {
+            return this._updateNodeParentAndOrder(unit[0].id, newParentId, order);
+        }
+
+        this.db.run('SAVEPOINT move_group');
+        try {
+            let previous = this._updateNodeParentAndOrder(unit[0].id, newParentId, order);
+            for (const member of unit.slice(1)) {
+                previous = this._updateNodeParentAndOrder(member.id, newParentId, this._calculateOrderForSibling(previous, 'after'));
+            }
+            this.db.run('RELEASE move_group');
+        } catch (error) {
+            this.db.run('ROLLBACK TO move_group');
+            this.db.run('RELEASE move_group');
+            throw error;
+        }
+        return this._getNode(unit[0].id);
+    }
+
+    /**
+     * Siblings in the node's sticky group, sorted by order; just the node when it is not grouped
+     */
+    _groupMembers(node) {
+        if (!node.stickyGroup || !node.parentId) {
+            return [node];
+        }
+        return this._getSortedChildren(node.parentId).filter(n => n.stickyGroup === node.stickyGroup);
+    }
+
+    /**
+     * Sticky group whose members sit on both sides of an order value under a parent, if any
+     * @param {Set<string>} excludeIds - Nodes to ignore, such as the ones being moved
+     */
+    _stickyGroupAt(parentId, order, excludeIds = new Set()) {
+        const siblings = this._getSortedChildren(parentId).filter(n => !excludeIds.has(n.id));
+        const before = siblings.filter(n => n.order < order).pop();
+        const after = siblings.find(n => n.order > order);
+        if (before && after && before.stickyGroup && before.stickyGroup === after.stickyGroup) {
+            return before.stickyGroup;
+        }
+        return null;
+    }
+
+    /**
+     * Siblings from start_id to end_id inclusive, in order
+     * @returns {{parentId: string, nodes: Node[]}}
+     */
+    _getSiblingSpan(start_id, end_id, action) {
+        const startNode = this._requireNode(start_id);
+        const endNode = this._requireNode(end_id);
+        if (!startNode.parentId || !endNode.parentId) {
+            throw new Error(`Cannot ${action} a root node`);
+        }
+        if (startNode.parentId !== endNode.parentId) {
+            throw new Error(`Start node ${start_id} and end node ${end_id} must have the same parent (found ${startNode.parentId} and ${endNode.parentId})`);
+        }
+
+        const lowOrder = Math.min(startNode.order, endNode.order);
+        const highOrder = Math.max(startNode.order, endNode.order);
+        const nodes = this._getSortedChildren(startNode.parentId)
+            .filter(n => n.order >= lowOrder && n.order <= highOrder);
+        return { parentId: startNode.parentId, nodes };
+    }
+
+    /**
+     * Throw if the nodes contain some, but not all, members of a sticky group
+     */
+    _validateWholeGroups(nodes, action) {
+        const ids = new Set(nodes.map(n => n.id));
+        for (const node of nodes) {
+            const missing = this._groupMembers(node).filter(member => !ids.has(member.id));
+            if (missing.length > 0) {
+                throw new Error(`Cannot ${action} part of sticky group ${node.stickyGroup}: ${missing.map(n => n.id).join(', ')} would be left out`);
+            }
+        }
+    }
+
+    /**
+     * Mark the siblings from start_id to end_id inclusive as a sticky group: they are expanded
+     * all-or-nothing, moved as a unit and never partially summarized
+     * @returns {string} - The new group id
+     */
+    stick(start_id, end_id) {
+        return this._undoable('stick', start_id, () => {
+            const { nodes } = this._getSiblingSpan(start_id, end_id, 'group');
+            if (nodes.length < 2) {
+                throw new Error('A sticky group needs at least two nodes');
+            }
+            this._validateWholeGroups(nodes, 'regroup');
+
+            const groupId = this._generateStickyGroupId();
+            const stmt = this.db.prepare('UPDATE nodes SET sticky_group = ? WHERE id = ?');
+            for (const node of nodes) {
+                stmt.bind([groupId, node.id]);
+                stmt.step();
+                stmt.reset();
+            }
+            stmt.free();
+            schedulePersist();
+            return groupId;
+        });
+    }
+
+    /**
+     * Random sticky group id that no node in the shared database uses, trashed and expired ones included
+     * A reused id would merge two unrelated groups.
+     */
+    _generateStickyGroupId() {
+        return this._generateUnusedId('sticky_group', 'sticky group id');
+    }
+
+    /**
+     * Dissolve the sticky group containing node_id
+     * @returns {Node[]} - The former members
+     */
+    unstick(node_id) {
+        return this._undoable('unstick', node_id, () => {
+            const node = this._requireNode(node_id);
+            if (!node.stickyGroup) {
+                throw new Error(`Node ${node_id} is not in a sticky group`);
+            }
+            const members = this._groupMembers(node);
+            const stmt = this.db.prepare('UPDATE nodes SET sticky_group = NULL WHERE id = ?');
+            for (const member of members) {
+                stmt.bind([member.id]);
+                stmt.step();
+                stmt.reset();
+            }
+            stmt.free();
+            schedulePersist();
+            return members.map(m => this._getNode(m.id));
+        });
+    }
+
+    /**
+     * Deep-copy the subtree under node_id as the last child of target_parent_id
+     * Copies get fresh ids and keep their text, context, priority and sibling order. Sticky groups
+     * inside the subtree are copied as new groups; the copied node itself leaves its group.
+     * @param {boolean} recordSource - Set copiedFrom on each copy to the id it was copied from
+     * @returns {Node} - The copy of node_id
+     */
+    copy(node_id, target_parent_id, recordSource = false) {
+        return this._undoable('copy', target_parent_id, () => {
+            const source = this._requireNode(node_id);
+            this._requireNode(target_parent_id);
+            this._validateContextSchema(target_parent_id, source.contextType, source.contextName, source.contextValue);
+            this._validateSubtreeSchema(source, Docmem.getRootId(target_parent_id));
+
+            const order = this._calculateOrderForAppend(target_parent_id);
+            let copy;
+            this.db.run('SAVEPOINT copy');
+            try {
+                copy = this._copySubtree(this._snapshotSubtree(source), target_parent_id, order, null, recordSource);
+                this.db.run('RELEASE copy');
+            } catch (error) {
+                this.db.run('ROLLBACK TO copy');
+                this.db.run('RELEASE copy');
+                throw error;
+            }
+            schedulePersist();
+            return copy;
+        });
+    }
+
+    /**
+     * Copy a whole docmem under a new root id, including its context schema
+     * @param {boolean} recordSource - Set copiedFrom on each copy to the id it was copied from
+     * @returns {Node} - The new root
+     */
+    fork(root_id, new_root_id, recordSource = false) {
+        return this._undoable('fork', new_root_id, () => {
+            const source = this._requireNode(root_id);
+            if (source.parentId) {
+                throw new Error(`Node ${root_id} is not a docmem root`);
+            }
+            if (this._nodeIdExists(new_root_id)) {
+                throw new Error(`Cannot fork ${root_id} to ${new_root_id}: the id is already used by a node in docmem ${Docmem.getRootId(new_root_id)}`);
+            }
+
+            this.db.run('SAVEPOINT fork');
+            try {
+                const root = new Node(new_root_id, null, source.text, source.order, null, null, null, source.contextType, source.contextName, source.contextValue, source.priority, null, recordSource ? source.id : null);
+                this._insertNode(root);
+                this._copyChildren(this._snapshotSubtree(source).children, root.id, recordSource);
+
+                const schema = this.get_context_schema(root_id);
+                if (schema) {
+                    const stmt = this.db.prepare('INSERT INTO context_schemas (root_id, schema, locked_at) VALUES (?, ?, ?)');
+                    stmt.bind([new_root_id, JSON.stringify(schema), new Date().toISOString()]);
+                    stmt.step();
+                    stmt.free();
+                }
+                this.db.run('RELEASE fork');
+            } catch (error) {
+                this.db.run('ROLLBACK TO fork');
+                this.db.run('RELEASE fork');
+                throw error;
+            }
+            schedulePersist();
+            return this._getNode(new_root_id);
+        });
+    }
+
+    /**
+     * The subtree read up front, so copying into the subtree itself cannot recurse forever
+     * @returns {{node: Node, children: Array}}
+     */
+    _snapshotSubtree(node) {
+        return { node, children: this._getSortedChildren(node.id).map(child => this._snapshotSubtree(child)) };
+    }
+
+    _copySubtree(snapshot, newParentId, order, stickyGroup, recordSource) {
+        const source = snapshot.node;
+        const copy = new Node(
+            this._generateNodeId(),
+            newParentId,
+            source.text,
+            order,
+            source.tokenCount,
+            null,
+            null,
+            source.contextType,
+            source.contextName,
+            source.contextValue,
+            source.priority,
+            stickyGroup,
+            recordSource ? source.id : null,
+            source.expiresAt,
+            source.tokenizer
+        );
+        this._insertNode(copy);
+        this._copyChildren(snapshot.children, copy.id, recordSource);
+        return copy;
+    }
+
+    _copyChildren(childSnapshots, newParentId, recordSource) {
+        const groupIds = new Map();
+        for (const snapshot of childSnapshots) {
+            const group = snapshot.node.stickyGroup;
+            if (group && !groupIds.has(group)) {
+                groupIds.set(group, this._generateStickyGroupId());
+            }
+            this._copySubtree(snapshot, newParentId, snapshot.node.order, group ? groupIds.get(group) : null, recordSource);
+        }
+    }
+
+    /**
+     * Context schema locked onto a docmem, or null
+     */
+    get_context_schema(root_id) {
+        const stmt = this.db.prepare('SELECT schema FROM context_schemas WHERE root_id = ?');
+        stmt.bind([root_id]);
+        const row = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        return row ? JSON.parse(row.schema) : null;
+    }
+
+    /**
+     * Lock a context schema onto a docmem; every node already in it must conform
+     * From then on appends, inserts, context updates, moves, summaries and reverts that would
+     * break the schema are rejected. Locking again replaces the schema.
+     * @param {string|Object} schema - See parseContextSchema
+     * @returns {Object} - The normalized schema
+     */
+    lock_context(root_id, schema) {
+        const root = this._requireNode(root_id);
+        if (root.parentId) {
+            throw new Error(`Node ${root_id} is not a docmem root`);
+        }
+        const normalized = parseContextSchema(schema);
+
+        const violations = this._schemaViolationsBelow(root, normalized);
+        if (violations.length > 0) {
+            const shown = violations.slice(0, 5).join('; ');
+            const more = violations.length > 5 ? `; and ${violations.length - 5} more` : '';
+            throw new Error(`Cannot lock context schema on ${root_id}, ${violations.length} nodes do not conform: ${shown}${more}`);
+        }
+
+        const stmt = this.db.prepare('INSERT OR REPLACE INTO context_schemas (root_id, schema, locked_at) VALUES (?, ?, ?)');
+        stmt.bind([root_id, JSON.stringify(normalized), new Date().toISOString()]);
+        stmt.step();
+        stmt.free();
+        schedulePersist();
+        return normalized;
+    }
+
+    unlock_context(root_id) {
+        this._requireNode(root_id);
+        if (!this.get_context_schema(root_id)) {
+            throw new Error(`Docmem ${root_id} has no context schema`);
+        }
+        const stmt = this.db.prepare('DELETE FROM context_schemas WHERE root_id = ?');
+        stmt.bind([root_id]);
+        stmt.step();
+        stmt.free();
+        schedulePersist();
+    }
+
+    /**
+     * Throw if a node with this context, and optionally these children, may not sit under
+     * parentId according to the context schema of parentId's docmem
+     */
+    _validateContextSchema(parentId, contextType, contextName, contextValue, children = []) {
+        const rootId = Docmem.getRootId(parentId);
+        const schema = rootId ? this.get_context_schema(rootId) : null;
+        if (!schema) {
+            return;
+        }
+        const parent = this._getNode(parentId);
+        const violation = contextSchemaViolation(schema, parent.contextType, contextType, contextName, contextValue)
+            || children.map(c => contextSchemaViolation(schema, contextType, c.contextType, c.contextName, c.contextValue)).find(v => v);
+        if (violation) {
+            throw new Error(`Context schema of ${rootId}: ${violation}`);
+        }
+    }
+
+    /**
+     * Throw if the descendants of a node moving into another docmem break that docmem's schema
+     */
+    _validateSubtreeSchema(node, rootId) {
+        const schema = rootId ? this.get_context_schema(rootId) : null;
+        if (!schema) {
+            return;
+        }
+        const violations = this._schemaViolationsBelow(node, schema);
+        if (violations.length > 0) {
+            throw new Error(`Context schema of ${rootId}: ${violations[0]}`);
+        }
+    }
+
+    _schemaViolationsBelow(node, schema) {
+        const descendants = [];
+        this._getAllDescendants(node.id, descendants);
+        const byId = new Map([[node.id, node], ...descendants.map(d => [d.id, d])]);
+        const violations = [];
+        for (const descendant of descendants) {
+            const parent = byId.get(descendant.parentId);
+            const violation = contextSchemaViolation(schema, parent.contextType, descendant.contextType, descendant.contextName, descendant.contextValue);
+            if (violation) {
+                violations.push(`${descendant.id}: ${violation}`);
+            }
+        }
+        return violations;
     }
 
     _getAllDescendants(nodeId, result) {
@@ -591,6 +2823,13 @@ class Docmem {
         }
     }
 
+    /**
+     * Compare the subtrees under two nodes; see diffSubtrees in docmem_diff.js
+     */
+    diff(a_id, b_id) {
+        return diffSubtrees(this.serialize(a_id), this.serialize(b_id));
+    }
+
     structure(nodeId) {
         if (!nodeId) {
             throw new Error('nodeId is required');
@@ -601,7 +2840,7 @@ class Docmem {
         return result;
     }
 
-    _structureRecursive(node, result) {
+    _structureRecursive(node, result, subtreeHashes = this._subtreeHashes(node)) {
         // Return structure without text content
         result.push({
             id: node.id,
@@ -612,117 +2851,430 @@ class Docmem {
             updatedAt: node.updatedAt,
             contextType: node.contextType,
             contextName: node.contextName,
-            contextValue: node.contextValue
+            contextValue: node.contextValue,
+            hash: node.computeHash(),
+            subtreeHash: subtreeHashes.get(node.id)
         });
         const sortedChildren = this._getSortedChildren(node.id);
         for (const child of sortedChildren) {
-            this._structureRecursive(child, result);
+            this._structureRecursive(child, result, subtreeHashes);
         }
     }
 
-    expandToLength(nodeId, maxTokens) {
+    /**
+     * Rolled-up hash of a node and all its descendants in reading order
+     * Changes whenever anything in the subtree is edited, added, removed or reordered.
+     */
+    subtreeHash(node_id) {
+        const node = this._requireNode(node_id);
+        return this._subtreeHashes(node).get(node_id);
+    }
+
+    _subtreeHashes(node, result = new Map()) {
+        const childHashes = this._getSortedChildren(node.id)
+            .map(child => this._subtreeHashes(child, result).get(child.id));
+        result.set(node.id, hashString(`${node.computeHash()}:${childHashes.join(',')}`));
+        return result;
+    }
+
+    /**
+     * Optimistic lock check before a change
+     * @param {string} node_id - Node about to be changed
+     * @param {Object} expected - { hash, subtreeHash }, either may be omitted
+     * @throws {Error} - Conflict error when the node changed since the caller read the hash
+     */
+    checkExpectedHash(node_id, expected = {}) {
+        const node = this._requireNode(node_id);
+        if (expected.hash && expected.hash !== node.computeHash()) {
+            throw new Error(`Conflict: node ${node_id} has changed (hash is ${node.computeHash()}, expected ${expected.hash}). Read it again before changing it.`);
+        }
+        if (expected.subtreeHash) {
+            const subtreeHash = this.subtreeHash(node_id);
+            if (expected.subtreeHash !== subtreeHash) {
+                throw new Error(`Conflict: subtree of node ${node_id} has changed (subtree hash is ${subtreeHash}, expected ${expected.subtreeHash}). Read it again before changing it.`);
+            }
+        }
+    }
+
+    /**
+     * Semantic search within the subtree of nodeId
+     * Each hit is traced up through its ancestors; a hit whose ancestor also matched
+     * is covered by that ancestor and folded into its result instead of listed separately.
+     * @param {string} nodeId - Node whose subtree is searched (usually the root)
+     * @param {string} text - Query text
+     * @param {number} k - Maximum number of results
+     * @returns {Array<{node: Node, score: number, ancestors: Node[], covers: string[]}>} - Best results first
+     */
+    query(nodeId, text, k = 5) {
         if (!nodeId) {
             throw new Error('nodeId is required');
         }
-        const result = [];
+        if (!text || !text.trim()) {
+            throw new Error('query text is required');
+        }
         const startNode = this._requireNode(nodeId);
-        
-        // Step 1: BFS to depth 1
-        const depth1Nodes = [];
-        const queue = [{ node: startNode, depth: 0 }];
-        
-        while (queue.length > 0) {
-            const { node, depth } = queue.shift();
-            
-            if (depth === 1) {
-                depth1Nodes.push(node);
-            } else if (depth < 1) {
-                const sortedChildren = this._getSortedChildren(node.id);
-                for (const child of sortedChildren) {
-                    queue.push({ node: child, depth: depth + 1 });
+        const queryVector = getEmbedder().embed(text);
+
+        const subtree = [];
+        this._serializeRecursive(startNode, subtree);
+        const nodesById = new Map(subtree.map(n => [n.id, n]));
+
+        const hits = new Map();
+        for (const node of subtree) {
+            if (!node.text) continue;
+            const score = cosineSimilarity(queryVector, this._getEmbedding(node));
+            if (score > 0) {
+                hits.set(node.id, { node, score, ancestors: [], covers: [] });
+            }
+        }
+
+        // Trace up via parent pointers, stopping at the search root
+        for (const hit of hits.values()) {
+            let parentId = hit.node.id === startNode.id ? null : hit.node.parentId;
+            while (parentId && nodesById.has(parentId)) {
+                const ancestor = nodesById.get(parentId);
+                hit.ancestors.push(ancestor);
+                parentId = ancestor.id === startNode.id ? null : ancestor.parentId;
+            }
+        }
+
+        // Dedupe: the nearest matching ancestor (other than the search root) covers the hit
+        const results = [];
+        for (const hit of hits.values()) {
+            const coveringAncestor = hit.ancestors.find(a => a.id !== startNode.id && hits.has(a.id));
+            if (coveringAncestor) {
+                hits.get(coveringAncestor.id).covers.push(hit.node.id);
+            } else {
+                results.push(hit);
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    /**
+     * Nodes under root_id (itself included) that match a filter, in document order
+     * @param {string} filter - Filter text, see docmem_filter.js
+     * @returns {Array<{node: Node, depth: number}>} - depth is relative to root_id
+     */
+    select(root_id, filter) {
+        this._requireNode(root_id);
+        const matches = parseNodeFilter(filter);
+        const depthOf = new Map();
+        const results = [];
+        for (const node of this.serialize(root_id)) {
+            const depth = node.id === root_id ? 0 : depthOf.get(node.parentId) + 1;
+            depthOf.set(node.id, depth);
+            if (matches(node, depth)) {
+                results.push({ node, depth });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Recompute token_count for every node under root_id (itself included), and record the
+     * tokenizer family on each node so fsck checks the counts with the same tokenizer
+     * Revisions are not recorded: the content does not change, only how it is measured.
+     * @param {string|null} tokenizerFamily - Registered tokenizer family; the active one when null
+     * @returns {{tokenizer: string, nodes: number, changed: number, tokensBefore: number, tokensAfter: number}}
+     */
+    recount(root_id, tokenizerFamily = null) {
+        return this._undoable('recount', root_id, () => {
+            this._requireNode(root_id);
+            const family = tokenizerFamily || getActiveTokenizerFamily();
+            const tokenizer = getTokenizer(family);
+            const nodes = this.serialize(root_id);
+            const result = { tokenizer: family, nodes: nodes.length, changed: 0, tokensBefore: 0, tokensAfter: 0 };
+
+            const stmt = this.db.prepare('UPDATE nodes SET token_count = ?, tokenizer = ? WHERE id = ?');
+            for (const node of nodes) {
+                const tokenCount = tokenizer.count(node.text);
+                result.tokensBefore += node.tokenCount;
+                result.tokensAfter += tokenCount;
+                if (tokenCount !== node.tokenCount) {
+                    result.changed++;
                 }
+                if (tokenCount !== node.tokenCount || node.tokenizer !== family) {
+                    stmt.run([tokenCount, family, node.id]);
+                }
+            }
+            stmt.free();
+            schedulePersist();
+            return result;
+        });
+    }
+
+    /**
+     * Token and shape statistics for the subtree under a node, the node included
+     * Levels are depths relative to the node (0 is the node itself). A summary is any node
+     * below the start node that has children; summary coverage is the share of leaves that
+     * sit under at least one summary.
+     * @returns {Object} - { nodeId, totalNodes, totalTokens, levels: [{depth, nodes, tokens}],
+     *   contextTypes: {[type]: count}, maxDepth, widestParent: {id, children}|null,
+     *   oldest: {id, updatedAt}, newest: {id, updatedAt},
+     *   summaryCoverage: {summaries, summaryTokens, leaves, coveredLeaves, ratio} }
+     */
+    stats(node_id) {
+        const startNode = this._requireNode(node_id);
+        const descendants = [];
+        this._getAllDescendants(startNode.id, descendants);
+        const nodes = [startNode, ...descendants];
+
+        const depthOf = new Map([[startNode.id, 0]]);
+        const childCounts = new Map();
+        // _getAllDescendants lists parents before their children
+        for (const node of descendants) {
+            depthOf.set(node.id, depthOf.get(node.parentId) + 1);
+            childCounts.set(node.parentId, (childCounts.get(node.parentId) || 0) + 1);
+        }
+        // Nodes that have a summary among their ancestors below the start node
+        const underSummary = new Set();
+        for (const node of descendants) {
+            const parentIsSummary = node.parentId !== startNode.id;
+            if (parentIsSummary || underSummary.has(node.parentId)) {
+                underSummary.add(node.id);
             }
         }
-        
-        // Step 2: Expand nodes one by one if possible
-        let totalTokens = 0;
-        const sortedDepth1 = depth1Nodes.sort((a, b) => a.order - b.order);
-        
-        for (const node of sortedDepth1) {
-            if (totalTokens >= maxTokens) {
-                break;
+
+        const levels = [];
+        const contextTypes = {};
+        let widestParent = null;
+        let oldest = startNode;
+        let newest = startNode;
+        const coverage = { summaries: 0, summaryTokens: 0, leaves: 0, coveredLeaves: 0, ratio: 0 };
+        for (const node of nodes) {
+            const depth = depthOf.get(node.id);
+            if (!levels[depth]) {
+                levels[depth] = { depth, nodes: 0, tokens: 0 };
             }
-            
-            const children = this._getChildren(node.id);
-            if (children.length > 0) {
-                // Node has children, expand by including its children
-                const sortedChildren = this._getSortedChildren(node.id);
-                for (const child of sortedChildren) {
-                    if (totalTokens + child.tokenCount <= maxTokens) {
-                        result.push(child);
-                        totalTokens += child.tokenCount;
-                    } else {
-                        // Stop when we exceed the length
-                        break;
-                    }
+            levels[depth].nodes++;
+            levels[depth].tokens += node.tokenCount;
+            contextTypes[node.contextType] = (contextTypes[node.contextType] || 0) + 1;
+
+            const children = childCounts.get(node.id) || 0;
+            if (children > 0 && (!widestParent || children > widestParent.children)) {
+                widestParent = { id: node.id, children };
+            }
+            if (node.updatedAt < oldest.updatedAt) {
+                oldest = node;
+            }
+            if (node.updatedAt > newest.updatedAt) {
+                newest = node;
+            }
+
+            if (children > 0 && node !== startNode) {
+                coverage.summaries++;
+                coverage.summaryTokens += node.tokenCount;
+            } else if (children === 0 && node !== startNode) {
+                coverage.leaves++;
+                if (underSummary.has(node.id)) {
+                    coverage.coveredLeaves++;
                 }
-            } else {
-                // Node with no children, just include it
-                if (totalTokens + node.tokenCount <= maxTokens) {
-                    result.push(node);
-                    totalTokens += node.tokenCount;
-                } else {
-                    break;
+            }
+        }
+        coverage.ratio = coverage.leaves > 0 ? coverage.coveredLeaves / coverage.leaves : 0;
+
+        return {
+            nodeId: startNode.id,
+            totalNodes: nodes.length,
+            totalTokens: levels.reduce((sum, level) => sum + level.tokens, 0),
+            levels,
+            contextTypes,
+            maxDepth: levels.length - 1,
+            widestParent,
+            oldest: { id: oldest.id, updatedAt: oldest.updatedAt },
+            newest: { id: newest.id, updatedAt: newest.updatedAt },
+            summaryCoverage: coverage
+        };
+    }
+
+    /**
+     * Fill a token budget with a mixed-resolution view of the subtree under nodeId
+     * Must-include nodes always appear: their ancestors are opened and their top-level branch
+     * is kept, even past the budget. Sticky groups are kept, dropped and opened as a whole.
+     * The remaining top-level branches are taken by priority,
+     * then document order, while they fit. Then branches with children are opened (replaced
+     * by their children) when the extra tokens fit, highest priority first, then shallowest
+     * first; a branch that does not fit stays collapsed to its own (summary) text while other
+     * branches keep opening, at any depth.
+     * @returns {Array<{node: Node, collapsed: boolean, hiddenNodes: number}>} - Entries in
+     *   document order; collapsed entries stand in for hiddenNodes descendants
+     */
+    expandToLength(nodeId, maxTokens) {
+        if (!nodeId) {
+            throw new Error('nodeId is required');
+        }
+        const startNode = this._requireNode(nodeId);
+
+        const childrenCache = new Map();
+        const childrenOf = (id) => {
+            if (!childrenCache.has(id)) {
+                childrenCache.set(id, this._getSortedChildren(id));
+            }
+            return childrenCache.get(id);
+        };
+        const childTokens = (node) => childrenOf(node.id).reduce((sum, c) => sum + c.tokenCount, 0);
+
+        // Step 1: branches holding must-include nodes are kept, with the path down to them opened
+        const topLevelChildren = childrenOf(startNode.id);
+        const kept = new Set();
+        const opened = new Set();
+        const descendants = [];
+        this._getAllDescendants(startNode.id, descendants);
+        for (const mustNode of descendants.filter(n => n.priority === 'must')) {
+            let current = mustNode;
+            while (current.parentId !== startNode.id) {
+                current = this._getNode(current.parentId);
+                // Sticky group members open together
+                this._groupMembers(current)
+                    .filter(member => childrenOf(member.id).length > 0)
+                    .forEach(member => opened.add(member.id));
+            }
+            kept.add(current.id);
+        }
+        for (const child of topLevelChildren) {
+            if (child.priority === 'must') {
+                kept.add(child.id);
+            }
+        }
+
+        let totalTokens = 0;
+        const tokensOf = (node) => opened.has(node.id)
+            ? childrenOf(node.id).reduce((sum, c) => sum + tokensOf(c), 0)
+            : node.tokenCount;
+        const units = groupStickyUnits(topLevelChildren);
+        for (const unit of units.filter(u => u.some(n => kept.has(n.id)))) {
+            unit.forEach(n => kept.add(n.id));
+            totalTokens += unit.reduce((sum, n) => sum + tokensOf(n), 0);
+        }
+
+        // Step 2: other top-level branches (sticky groups whole), collapsed, by priority then
+        // document order while they fit
+        const byPriority = units
+            .filter(u => !kept.has(u[0].id))
+            .sort((a, b) => unitPriorityRank(a) - unitPriorityRank(b) || a[0].order - b[0].order);
+        for (const unit of byPriority) {
+            const unitTokens = unit.reduce((sum, n) => sum + n.tokenCount, 0);
+            if (totalTokens + unitTokens <= maxTokens) {
+                unit.forEach(n => kept.add(n.id));
+                totalTokens += unitTokens;
+            }
+        }
+        const topLevel = topLevelChildren.filter(c => kept.has(c.id));
+
+        // Step 3: open branches wherever the children fit in place of the node; the members of
+        // a sticky group that have children open together or not at all
+        const candidates = [];
+        const addCandidates = (nodes, depth) => {
+            for (const unit of groupStickyUnits(nodes)) {
+                const closed = unit.filter(n => !opened.has(n.id) && childrenOf(n.id).length > 0);
+                if (closed.length > 0) {
+                    candidates.push({ nodes: closed, depth, sequence: candidates.length });
                 }
+                unit.filter(n => opened.has(n.id)).forEach(n => addCandidates(childrenOf(n.id), depth + 1));
+            }
+        };
+        addCandidates(topLevel, 1);
+        while (candidates.length > 0) {
+            candidates.sort((a, b) => unitPriorityRank(a.nodes) - unitPriorityRank(b.nodes) || a.depth - b.depth || a.sequence - b.sequence);
+            const { nodes, depth } = candidates.shift();
+            const extraTokens = nodes.reduce((sum, n) => sum + childTokens(n) - n.tokenCount, 0);
+            if (totalTokens + extraTokens > maxTokens) {
+                continue;
             }
+            nodes.forEach(n => opened.add(n.id));
+            totalTokens += extraTokens;
+            nodes.forEach(n => addCandidates(childrenOf(n.id), depth + 1));
         }
-        
+
+        // Step 4: walk the chosen frontier in document order
+        const result = [];
+        const emit = (node) => {
+            if (opened.has(node.id)) {
+                childrenOf(node.id).forEach(emit);
+                return;
+            }
+            const hidden = [];
+            if (childrenOf(node.id).length > 0) {
+                this._getAllDescendants(node.id, hidden);
+            }
+            result.push({ node, collapsed: hidden.length > 0, hiddenNodes: hidden.length });
+        };
+        topLevel.forEach(emit);
+
         return result;
     }
 
     add_summary(node_ids, content, context_type, context_name, context_value) {
-        if (!node_ids || node_ids.length === 0) {
-            throw new Error('Must provide at least one memory node to summarize');
-        }
+        return this._undoable('add_summary', (node_ids || [])[0], () => {
+            if (!node_ids || node_ids.length === 0) {
+                throw new Error('Must provide at least one memory node to summarize');
+            }
 
-        const memoryNodes = node_ids.map(id => this._requireNode(id));
+            const memoryNodes = node_ids.map(id => this._requireNode(id));
         
-        // Check that all nodes are leaf nodes (have no children) - these are the "memories"
-        const nodesWithChildren = memoryNodes.filter(n => this._getChildren(n.id).length > 0);
-        if (nodesWithChildren.length > 0) {
-            throw new Error(`All nodes to summarize must be leaf nodes (have no children). Nodes with children: ${nodesWithChildren.map(n => n.id).join(', ')}`);
-        }
+            // Check that all nodes are leaf nodes (have no children) - these are the "memories"
+            const nodesWithChildren = memoryNodes.filter(n => this._getChildren(n.id).length > 0);
+            if (nodesWithChildren.length > 0) {
+                throw new Error(`All nodes to summarize must be leaf nodes (have no children). Nodes with children: ${nodesWithChildren.map(n => n.id).join(', ')}`);
+            }
 
-        let parentId;
-        if (memoryNodes.length === 1) {
-            parentId = memoryNodes[0].parentId;
-        } else {
-            const parentIds = new Set(memoryNodes.map(n => n.parentId));
-            if (parentIds.size !== 1) {
-                const parentInfo = Array.from(parentIds).map(pid => {
-                    const nodesWithThisParent = memoryNodes.filter(n => n.parentId === pid).map(n => n.id);
-                    return `parent ${pid}: nodes ${nodesWithThisParent.join(', ')}`;
-                }).join('; ');
-                throw new Error(`All memory nodes must have the same parent. Found: ${parentInfo}`);
+            let parentId;
+            if (memoryNodes.length === 1) {
+                parentId = memoryNodes[0].parentId;
+            } else {
+                const parentIds = new Set(memoryNodes.map(n => n.parentId));
+                if (parentIds.size !== 1) {
+                    const parentInfo = Array.from(parentIds).map(pid => {
+                        const nodesWithThisParent = memoryNodes.filter(n => n.parentId === pid).map(n => n.id);
+                        return `parent ${pid}: nodes ${nodesWithThisParent.join(', ')}`;
+                    }).join('; ');
+                    throw new Error(`All memory nodes must have the same parent. Found: ${parentInfo}`);
+                }
+                parentId = memoryNodes[0].parentId;
             }
-            parentId = memoryNodes[0].parentId;
-        }
 
-        this._requireNode(parentId);
+            this._requireNode(parentId);
 
-        const children = this._getChildren(parentId);
-        const childrenIds = new Set(children.map(c => c.id));
-        const nodeIdsSet = new Set(node_ids);
+            const children = this._getChildren(parentId);
+            const childrenIds = new Set(children.map(c => c.id));
+            const nodeIdsSet = new Set(node_ids);
         
-        // Check which nodes are missing from parent's children
-        const missingFromParent = node_ids.filter(id => !childrenIds.has(id));
+            // Check which nodes are missing from parent's children
+            const missingFromParent = node_ids.filter(id => !childrenIds.has(id));
         
-        if (missingFromParent.length > 0) {
-            throw new Error(`Not all memory nodes found as children of parent. Missing: ${missingFromParent.join(', ')}. Parent has ${children.length} children.`);
-        }
+            if (missingFromParent.length > 0) {
+                throw new Error(`Not all memory nodes found as children of parent. Missing: ${missingFromParent.join(', ')}. Parent has ${children.length} children.`);
+            }
         
-        const memoryNodesSorted = this._getSortedChildren(parentId)
-            .filter(n => nodeIdsSet.has(n.id));
+            const memoryNodesSorted = this._getSortedChildren(parentId)
+                .filter(n => nodeIdsSet.has(n.id));
+
+            return this._insertSummaryOver(parentId, memoryNodesSorted, content, context_type, context_name, context_value);
+        });
+    }
+
+    /**
+     * Summarize a contiguous span of siblings, from start_id to end_id inclusive
+     * Unlike add_summary, the span may contain interior nodes (including other summaries),
+     * so summaries can be stacked into multiple levels.
+     */
+    add_summary_span(start_id, end_id, content, context_type, context_name, context_value) {
+        return this._undoable('add_summary_span', start_id, () => {
+            const { parentId, nodes } = this._getSiblingSpan(start_id, end_id, 'summarize');
+            return this._insertSummaryOver(parentId, nodes, content, context_type, context_name, context_value);
+        });
+    }
+
+    /**
+     * Insert a summary node under parentId and move the given sorted siblings beneath it
+     */
+    _insertSummaryOver(parentId, memoryNodesSorted, content, context_type, context_name, context_value) {
+        this._validateWholeGroups(memoryNodesSorted, 'summarize');
+        this._validateContextSchema(parentId, context_type, context_name, context_value, memoryNodesSorted);
 
         const minOrder = memoryNodesSorted[0].order;
         const maxOrder = memoryNodesSorted[memoryNodesSorted.length - 1].order;
@@ -732,15 +3284,264 @@ class Docmem {
         this._insertNode(summaryNode);
 
         for (const memoryNode of memoryNodesSorted) {
+            this._ensureBaselineRevision(memoryNode.id);
             const stmt = this.db.prepare('UPDATE nodes SET parent_id = ? WHERE id = ?');
             stmt.bind([summaryNode.id, memoryNode.id]);
             stmt.step();
             stmt.free();
+            this._recordRevision(memoryNode.id, 'move');
         }
+        schedulePersist();
 
         return summaryNode;
     }
 
+    /**
+     * Dissolve a summary: its children move back under the summary's parent, in their
+     * current order, at the position the summary held, and the summary node is removed.
+     * With keepRecord the summary's revisions are archived so history() still finds them.
+     * @returns {Node[]} - The restored children in reading order
+     */
+    remove_summary(summary_id, keepRecord = false) {
+        return this._undoable('remove_summary', summary_id, () => {
+            const summary = this._requireNode(summary_id);
+            if (!summary.parentId) {
+                throw new Error('Cannot unsummarize a root node');
+            }
+            const children = this._getSortedChildren(summary_id);
+            if (children.length === 0) {
+                throw new Error(`Node ${summary_id} has no children to restore`);
+            }
+
+            children.forEach(child => this._validateContextSchema(summary.parentId, child.contextType, child.contextName, child.contextValue));
+
+            const slotFor = () => {
+                const siblings = this._getSortedChildren(summary.parentId);
+                const idx = this._findTargetIndexInSorted(siblings, summary_id);
+                const current = siblings[idx];
+                const low = idx > 0 ? siblings[idx - 1].order : current.order - 1.0;
+                const high = idx < siblings.length - 1 ? siblings[idx + 1].order : current.order + 1.0;
+                return { low, step: (high - low) / (children.length + 1) };
+            };
+
+            this.db.run('SAVEPOINT remove_summary');
+            try {
+                let slot = slotFor();
+                if (slot.step < ORDER_EPSILON) {
+                    this.reorder(summary.parentId);
+                    slot = slotFor();
+                }
+
+                children.forEach((child, index) => {
+                    this._updateNodeParentAndOrder(child.id, summary.parentId, slot.low + slot.step * (index + 1));
+                });
+
+                if (keepRecord) {
+                    this._recordRevision(summary_id, 'unsummarize');
+                    const stmt = this.db.prepare(`
+                        INSERT OR REPLACE INTO summary_archive (summary_id, parent_id, child_ids, revisions, origin, dissolved_at)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `);
+                    stmt.bind([
+                        summary_id,
+                        summary.parentId,
+                        JSON.stringify(children.map(c => c.id)),
+                        JSON.stringify(this.history(summary_id)),
+                        this.origin,
+                        new Date().toISOString()
+                    ]);
+                    stmt.step();
+                    stmt.free();
+                }
+
+                // Trashed children stay restorable under the summary's parent
+                this.db.run('UPDATE nodes SET parent_id = ? WHERE parent_id = ? AND trashed_in IS NOT NULL', [summary.parentId, summary_id]);
+                const stmt = this.db.prepare('DELETE FROM nodes WHERE id = ?');
+                stmt.bind([summary_id]);
+                stmt.step();
+                stmt.free();
+                this.db.run('RELEASE remove_summary');
+            } catch (error) {
+                this.db.run('ROLLBACK TO remove_summary');
+                this.db.run('RELEASE remove_summary');
+                throw error;
+            }
+            schedulePersist();
+
+            return children.map(c => this._getNode(c.id));
+        });
+    }
+
+    _getArchivedSummary(summaryId) {
+        const stmt = this.db.prepare('SELECT * FROM summary_archive WHERE summary_id = ?');
+        stmt.bind([summaryId]);
+        const row = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        if (!row) {
+            return null;
+        }
+        return {
+            summaryId: row.summary_id,
+            parentId: row.parent_id,
+            childIds: JSON.parse(row.child_ids),
+            revisions: JSON.parse(row.revisions),
+            origin: row.origin,
+            dissolvedAt: row.dissolved_at
+        };
+    }
+
+    /**
+     * Run a public operation as one undo step of the docmem containing nodeRef
+     * The operation runs in a savepoint, so it is applied all or nothing. Operations called
+     * from inside another operation are part of the outer step.
+     */
+    _undoable(operation, nodeRef, fn) {
+        if (undoStepActive) {
+            return fn();
+        }
+        const rootBefore = Docmem.getRootId(nodeRef);
+
+        undoStepActive = true;
+        this.db.run('SAVEPOINT undoable');
+        try {
+            const stmt = this.db.prepare('INSERT INTO undo_steps (operation, origin, created_at) VALUES (?, ?, ?)');
+            stmt.bind([operation, this.origin, new Date().toISOString()]);
+            stmt.step();
+            stmt.free();
+            const step = this.db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+            this.db.run('UPDATE undo_state SET active_step = ? WHERE id = 1', [step]);
+
+            const result = fn();
+
+            this.db.run('UPDATE undo_state SET active_step = NULL WHERE id = 1');
+            this._finishUndoStep(step, rootBefore || Docmem.getRootId(nodeRef));
+            this.db.run('RELEASE undoable');
+            return result;
+        } catch (error) {
+            this.db.run('ROLLBACK TO undoable');
+            this.db.run('RELEASE undoable');
+            throw error;
+        } finally {
+            undoStepActive = false;
+        }
+    }
+
+    /**
+     * Keep a step that changed nodes, dropping the docmem's redo steps and its oldest steps
+     */
+    _finishUndoStep(step, rootId) {
+        const changes = this.db.exec('SELECT COUNT(*) FROM undo_changes WHERE step = ?', [step])[0].values[0][0];
+        if (changes === 0 || !rootId) {
+            this.db.run('DELETE FROM undo_steps WHERE step = ?', [step]);
+            return;
+        }
+        // A docmem deleted outright takes its history with it, so a new docmem with the same root id starts clean
+        if (!this._getRootById(rootId)) {
+            this.db.run('DELETE FROM undo_steps WHERE root_id = ? OR step = ?', [rootId, step]);
+            return;
+        }
+        this.db.run('UPDATE undo_steps SET root_id = ? WHERE step = ?', [rootId, step]);
+        this.db.run('DELETE FROM undo_steps WHERE root_id = ? AND undone = 1', [rootId]);
+        this.db.run(`
+            DELETE FROM undo_steps WHERE root_id = ? AND step NOT IN (
+                SELECT step FROM undo_steps WHERE root_id = ? ORDER BY step DESC LIMIT ?
+            )
+        `, [rootId, rootId, UNDO_HISTORY_LIMIT]);
+    }
+
+    /**
+     * Undo the latest operation in the docmem, restoring the nodes it changed or deleted
+     * @returns {{step: number, operation: string}} - The step that was undone
+     */
+    undo(root_id) {
+        const step = this._nextUndoStep(root_id, 'undo');
+        if (!step) {
+            throw new Error(`Nothing to undo in docmem ${root_id}`);
+        }
+        this._applyUndoStep(step, 'undo');
+        return step;
+    }
+
+    /**
+     * Redo the operation most recently undone in the docmem
+     * @returns {{step: number, operation: string}} - The step that was redone
+     */
+    redo(root_id) {
+        const step = this._nextUndoStep(root_id, 'redo');
+        if (!step) {
+            throw new Error(`Nothing to redo in docmem ${root_id}`);
+        }
+        this._applyUndoStep(step, 'redo');
+        return step;
+    }
+
+    _nextUndoStep(rootId, direction) {
+        const sql = direction === 'undo'
+            ? 'SELECT step, operation FROM undo_steps WHERE root_id = ? AND undone = 0 ORDER BY step DESC LIMIT 1'
+            : 'SELECT step, operation FROM undo_steps WHERE root_id = ? AND undone = 1 ORDER BY step ASC LIMIT 1';
+        const stmt = this.db.prepare(sql);
+        stmt.bind([rootId]);
+        const row = stmt.step() ? stmt.getAsObject() : null;
+        stmt.free();
+        return row;
+    }
+
+    /**
+     * Replay a step's row changes backwards (undo) or forwards (redo)
+     */
+    _applyUndoStep(step, direction) {
+        const order = direction === 'undo' ? 'DESC' : 'ASC';
+        const stmt = this.db.prepare(`SELECT old_row, new_row FROM undo_changes WHERE step = ? ORDER BY seq ${order}`);
+        stmt.bind([step.step]);
+        const changes = [];
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            const oldRow = row.old_row ? JSON.parse(row.old_row) : null;
+            const newRow = row.new_row ? JSON.parse(row.new_row) : null;
+            changes.push(direction === 'undo' ? { from: newRow, to: oldRow } : { from: oldRow, to: newRow });
+        }
+        stmt.free();
+
+        const touched = new Set();
+        this.db.run('SAVEPOINT apply_undo');
+        try {
+            for (const { from, to } of changes) {
+                if (!to) {
+                    this.db.run('DELETE FROM nodes WHERE id = ?', [from.id]);
+                    touched.add(from.id);
+                    continue;
+                }
+                const columns = Object.keys(to);
+                if (!from) {
+                    this.db.run(`INSERT INTO nodes (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, columns.map(c => to[c]));
+                } else {
+                    this.db.run(`UPDATE nodes SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...columns.map(c => to[c]), from.id]);
+                }
+                touched.add(to.id);
+            }
+            // Rows are read directly so nodes brought back into the trash are refreshed too
+            const rowStmt = this.db.prepare('SELECT text FROM nodes WHERE id = ?');
+            for (const nodeId of touched) {
+                rowStmt.bind([nodeId]);
+                const row = rowStmt.step() ? rowStmt.getAsObject() : null;
+                rowStmt.reset();
+                if (row) {
+                    this._recordRevision(nodeId, direction);
+                    this._updateEmbedding(nodeId, row.text);
+                    indexMentions(this.db, nodeId, row.text);
+                }
+            }
+            rowStmt.free();
+            this.db.run('UPDATE undo_steps SET undone = ? WHERE step = ?', [direction === 'undo' ? 1 : 0, step.step]);
+            this.db.run('RELEASE apply_undo');
+        } catch (error) {
+            this.db.run('ROLLBACK TO apply_undo');
+            this.db.run('RELEASE apply_undo');
+            throw new Error(`Cannot ${direction} ${step.operation}: ${error.message}`);
+        }
+        schedulePersist();
+    }
+
     close() {
         this.db.close();
     }
@@ -3,7 +3,7 @@
  */
 class DocmemChat {
     constructor(docmemId) {
-        this.docmem = new Docmem(docmemId);
+        this.docmem = new Docmem(docmemId, 'chat');
         this.docmemId = docmemId;
     }
 
@@ -39,6 +39,7 @@ class DocmemChat {
             timestamp
         );
         this.docmem._insertNode(rootNode);
+        schedulePersist();
     }
 
     /**
@@ -86,15 +87,20 @@ class DocmemChat {
      * Iterates over root's children, oldest to newest
      * Summary nodes are formatted as assistant tool call + tool response pairs
      * Message nodes are formatted as standard messages
+     * @param {number} maxTokens - Optional context budget; see selectContextNodes
+     * @param {string|null} modelId - Model the messages are for; the budget is counted with its
+     *   family's tokenizer instead of the stored token counts
      */
-    buildMessageList() {
+    buildMessageList(maxTokens = Infinity, modelId = null) {
         const root = this.getRoot();
         if (!root) {
             throw new Error('Chat session root not found. Call createChatSession() first.');
         }
 
         const children = this.docmem._getChildren(root.id);
-        const sortedChildren = [...children].sort((a, b) => a.order - b.order);
+        const tokenizer = modelId ? getTokenizer(tokenizerFamilyForModel(modelId)) : null;
+        const tokensOf = tokenizer ? (node => tokenizer.count(node.text)) : (node => node.tokenCount);
+        const sortedChildren = this.selectContextNodes(root, children, maxTokens, tokensOf);
         
         // Log all children for debugging
         console.log('=== BUILDING MESSAGE LIST ===');
@@ -180,6 +186,46 @@ class DocmemChat {
         return messages;
     }
 
+    /**
+     * Pick the children that fit in the context budget, in document order
+     * The newest node and must-include nodes are always kept. The rest are added by priority,
+     * newest first within a priority, so low-priority and old nodes are dropped first.
+     * Sticky groups are kept or dropped as a whole.
+     * @param {function(Node): number} tokensOf - Token count of a node; the stored count by default
+     */
+    selectContextNodes(root, children, maxTokens, tokensOf = node => node.tokenCount) {
+        const sortedChildren = [...children].sort((a, b) => a.order - b.order);
+        if (!Number.isFinite(maxTokens)) {
+            return sortedChildren;
+        }
+
+        const newest = sortedChildren[sortedChildren.length - 1];
+        const unitTokens = unit => unit.reduce((sum, n) => sum + tokensOf(n), 0);
+        const units = groupStickyUnits(sortedChildren);
+        const kept = new Set();
+        let totalTokens = tokensOf(root);
+        for (const unit of units.filter(u => u.some(n => n === newest || n.priority === 'must'))) {
+            unit.forEach(n => kept.add(n));
+            totalTokens += unitTokens(unit);
+        }
+
+        const byPriority = units
+            .filter(u => !kept.has(u[0]))
+            .sort((a, b) => unitPriorityRank(a) - unitPriorityRank(b) || b[b.length - 1].order - a[a.length - 1].order);
+        for (const unit of byPriority) {
+            if (totalTokens + unitTokens(unit) <= maxTokens) {
+                unit.forEach(n => kept.add(n));
+                totalTokens += unitTokens(unit);
+            }
+        }
+
+        const dropped = sortedChildren.length - kept.size;
+        if (dropped > 0) {
+            console.log(`Context budget ${maxTokens}: dropped ${dropped} of ${sortedChildren.length} nodes`);
+        }
+        return sortedChildren.filter(n => kept.has(n));
+    }
+
     /**
      * Get the chat session root node
      */
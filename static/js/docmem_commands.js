@@ -6,6 +6,27 @@ export class DocmemCommands {
         this.docmem = docmem;
     }
 
+    /**
+     * Node arguments may be a node-id or an @root-id/node-id reference into any docmem
+     */
+    _resolve(reference) {
+        return Docmem.resolveReference(reference);
+    }
+
+    /**
+     * Fail with a conflict error if the node changed since the caller read its hashes
+     * @param {string} commandName - Command being run, for the error message
+     * @param {string} nodeId - Node the command changes
+     * @param {Object} expected - { hash, subtreeHash } from --expect / --expect-subtree
+     */
+    checkExpectedHash(commandName, nodeId, expected) {
+        try {
+            this.docmem.checkExpectedHash(this._resolve(nodeId), expected);
+        } catch (error) {
+            throw new Error(`${commandName} ${error.message}`);
+        }
+    }
+
     _validateFieldLength(value, fieldName, commandName, allowEmpty = false) {
         if (value === null || value === undefined || typeof value !== 'string') {
             throw new Error(`${commandName} requires ${fieldName} to be a string of length 0 to 24`);
@@ -22,41 +43,45 @@ export class DocmemCommands {
 
     async create(rootId) {
         const validatedRootId = this._validateFieldLength(rootId, 'root-id', 'docmem-create', true);
+        // Root ids appear in @root-id/node-id references
+        if (/[\s@\/]/.test(validatedRootId)) {
+            throw new Error(`docmem-create requires root-id without spaces, @ or /, got: ${validatedRootId}`);
+        }
         // Docmem is created automatically when instantiated
-        const newDocmem = new Docmem(validatedRootId);
+        const newDocmem = new Docmem(validatedRootId, 'agent');
         await newDocmem.ready();
         return { success: true, result: `docmem-create created docmem: ${validatedRootId}` };
     }
 
-    appendChild(nodeId, contextType, contextName, contextValue, content) {
+    appendChild(nodeId, contextType, contextName, contextValue, content, ttl = null) {
         const validatedContextType = this._validateFieldLength(contextType, 'context_type', 'docmem-append-child');
         const validatedContextName = this._validateFieldLength(contextName, 'context_name', 'docmem-append-child');
         const validatedContextValue = this._validateFieldLength(contextValue, 'context_value', 'docmem-append-child');
 
-        const node = this.docmem.append_child(nodeId, validatedContextType, validatedContextName, validatedContextValue, content);
-        return { success: true, result: `docmem-append-child appended child node: ${node.id}` };
+        const node = this.docmem.append_child(this._resolve(nodeId), validatedContextType, validatedContextName, validatedContextValue, content, ttl);
+        return { success: true, result: `docmem-append-child appended child node: ${node.id}${this._expiryNote(node)}` };
     }
 
-    insertBefore(nodeId, contextType, contextName, contextValue, content) {
+    insertBefore(nodeId, contextType, contextName, contextValue, content, ttl = null) {
         const validatedContextType = this._validateFieldLength(contextType, 'context_type', 'docmem-insert-before');
         const validatedContextName = this._validateFieldLength(contextName, 'context_name', 'docmem-insert-before');
         const validatedContextValue = this._validateFieldLength(contextValue, 'context_value', 'docmem-insert-before');
 
-        const node = this.docmem.insert_before(nodeId, validatedContextType, validatedContextName, validatedContextValue, content);
-        return { success: true, result: `docmem-insert-before inserted node: ${node.id}` };
+        const node = this.docmem.insert_before(this._resolve(nodeId), validatedContextType, validatedContextName, validatedContextValue, content, ttl);
+        return { success: true, result: `docmem-insert-before inserted node: ${node.id}${this._expiryNote(node)}` };
     }
 
-    insertAfter(nodeId, contextType, contextName, contextValue, content) {
+    insertAfter(nodeId, contextType, contextName, contextValue, content, ttl = null) {
         const validatedContextType = this._validateFieldLength(contextType, 'context_type', 'docmem-insert-after');
         const validatedContextName = this._validateFieldLength(contextName, 'context_name', 'docmem-insert-after');
         const validatedContextValue = this._validateFieldLength(contextValue, 'context_value', 'docmem-insert-after');
 
-        const node = this.docmem.insert_after(nodeId, validatedContextType, validatedContextName, validatedContextValue, content);
-        return { success: true, result: `docmem-insert-after inserted node: ${node.id}` };
+        const node = this.docmem.insert_after(this._resolve(nodeId), validatedContextType, validatedContextName, validatedContextValue, content, ttl);
+        return { success: true, result: `docmem-insert-after inserted node: ${node.id}${this._expiryNote(node)}` };
     }
 
     updateContent(nodeId, content) {
-        const node = this.docmem.update_content(nodeId, content);
+        const node = this.docmem.update_content(this._resolve(nodeId), content);
         return { success: true, result: `docmem-update-content updated node: ${node.id}` };
     }
 
@@ -65,41 +90,169 @@ export class DocmemCommands {
         const validatedContextName = this._validateFieldLength(contextName, 'context_name', 'docmem-update-context');
         const validatedContextValue = this._validateFieldLength(contextValue, 'context_value', 'docmem-update-context');
 
-        const node = this.docmem.update_context(nodeId, validatedContextType, validatedContextName, validatedContextValue);
+        const node = this.docmem.update_context(this._resolve(nodeId), validatedContextType, validatedContextName, validatedContextValue);
         return { success: true, result: `docmem-update-context updated node: ${node.id}` };
     }
 
     find(nodeId) {
-        const node = this.docmem.find(nodeId);
+        const node = this.docmem.find(this._resolve(nodeId));
         if (!node) {
             return { success: false, result: `docmem-find node not found: ${nodeId}` };
         }
-        return { success: true, result: `docmem-find:\n${JSON.stringify(node.toDict(), null, 2)}` };
+        const found = { ...node.toDict(), subtreeHash: this.docmem.subtreeHash(node.id) };
+        return { success: true, result: `docmem-find:\n${JSON.stringify(found, null, 2)}` };
+    }
+
+    history(nodeId) {
+        const revisions = this.docmem.history(this._resolve(nodeId));
+        return { success: true, result: `docmem-history:\n${JSON.stringify(revisions, null, 2)}` };
+    }
+
+    revert(nodeId, revision) {
+        const revisionNum = parseInt(revision, 10);
+        if (isNaN(revisionNum)) {
+            throw new Error(`revision must be a number, got: ${revision}`);
+        }
+        this.docmem.revert(this._resolve(nodeId), revisionNum);
+        return { success: true, result: `docmem-revert reverted node ${nodeId} to revision ${revisionNum}` };
     }
 
     delete(nodeId) {
-        this.docmem.delete(nodeId);
-        return { success: true, result: `docmem-delete deleted node: ${nodeId}` };
+        const resolvedId = this._resolve(nodeId);
+        const isRoot = Docmem.getRootId(resolvedId) === resolvedId;
+        this.docmem.delete(resolvedId);
+        if (isRoot) {
+            return { success: true, result: `docmem-delete deleted docmem: ${resolvedId}` };
+        }
+        return { success: true, result: `docmem-delete moved node to trash: ${resolvedId} (docmem-restore ${resolvedId} brings it back)` };
+    }
+
+    trashList(rootId) {
+        const entries = Docmem.trashList(rootId ? this._resolve(rootId) : null).map(entry => ({
+            id: entry.node.id,
+            rootId: entry.rootId,
+            parentId: entry.parentId,
+            order: entry.order,
+            trashedAt: entry.trashedAt,
+            nodeCount: entry.nodeCount,
+            context: `${entry.node.contextType} ${entry.node.contextName}:${entry.node.contextValue}`,
+            preview: entry.node.text.split('\n')[0].substring(0, 80)
+        }));
+        return { success: true, result: `docmem-trash-list:\n${JSON.stringify(entries, null, 2)}` };
+    }
+
+    restore(nodeId) {
+        const node = this.docmem.restore(this._resolve(nodeId));
+        return { success: true, result: `docmem-restore restored node: ${node.id} under ${node.parentId}` };
+    }
+
+    purge(reference) {
+        const purged = this.docmem.purge(this._resolve(reference));
+        return { success: true, result: `docmem-purge permanently deleted ${purged.length} trashed subtrees${purged.length > 0 ? `: ${purged.join(', ')}` : ''}` };
     }
 
     serialize(nodeId) {
-        const nodes = this.docmem.serialize(nodeId);
+        const nodes = this.docmem.serialize(this._resolve(nodeId));
         const content = nodes.map(n => n.text).join('\n\n');
         return { success: true, result: `docmem-serialize:\n${content}` };
     }
 
     structure(nodeId) {
-        const structure = this.docmem.structure(nodeId);
+        const structure = this.docmem.structure(this._resolve(nodeId));
         return { success: true, result: `docmem-structure:\n${JSON.stringify(structure, null, 2)}` };
     }
 
+    select(rootId, filter) {
+        const results = this.docmem.select(this._resolve(rootId), filter).map(({ node, depth }) => ({
+            id: node.id,
+            parentId: node.parentId,
+            depth,
+            contextType: node.contextType,
+            contextName: node.contextName,
+            contextValue: node.contextValue,
+            tokenCount: node.tokenCount
+        }));
+        return { success: true, result: `docmem-select matched ${results.length} nodes:\n${JSON.stringify(results, null, 2)}` };
+    }
+
+    recount(rootId, tokenizerFamily) {
+        const result = this.docmem.recount(this._resolve(rootId), tokenizerFamily || null);
+        return {
+            success: true,
+            result: `docmem-recount counted ${result.nodes} nodes with ${result.tokenizer}: ${result.changed} changed, ${result.tokensBefore} -> ${result.tokensAfter} tokens`
+        };
+    }
+
+    stats(nodeId) {
+        const stats = this.docmem.stats(this._resolve(nodeId));
+        return { success: true, result: `docmem-stats:\n${JSON.stringify(stats, null, 2)}` };
+    }
+
     expandToLength(nodeId, maxTokens) {
         const maxTokensNum = parseInt(maxTokens, 10);
         if (isNaN(maxTokensNum)) {
             throw new Error(`maxTokens must be a number, got: ${maxTokens}`);
         }
-        const nodes = this.docmem.expandToLength(nodeId, maxTokensNum);
-        return { success: true, result: `docmem-expand-to-length:\n${JSON.stringify(nodes.map(n => n.toDict()), null, 2)}` };
+        const entries = this.docmem.expandToLength(this._resolve(nodeId), maxTokensNum);
+        const expanded = entries.map(e => ({ ...e.node.toDict(), collapsed: e.collapsed, hiddenNodes: e.hiddenNodes }));
+        return { success: true, result: `docmem-expand-to-length:\n${JSON.stringify(expanded, null, 2)}` };
+    }
+
+    query(nodeId, text, k) {
+        let kNum = 5;
+        if (k !== undefined) {
+            kNum = parseInt(k, 10);
+            if (isNaN(kNum) || kNum < 1) {
+                throw new Error(`k must be a positive number, got: ${k}`);
+            }
+        }
+        const results = this.docmem.query(this._resolve(nodeId), text, kNum).map(r => ({
+            id: r.node.id,
+            parentId: r.node.parentId,
+            score: Math.round(r.score * 1000) / 1000,
+            contextType: r.node.contextType,
+            contextName: r.node.contextName,
+            contextValue: r.node.contextValue,
+            text: r.node.text,
+            ancestors: r.ancestors.map(a => a.id),
+            covers: r.covers
+        }));
+        return { success: true, result: `docmem-query:\n${JSON.stringify(results, null, 2)}` };
+    }
+
+    search(scopeId, terms) {
+        if (!terms || !terms.trim()) {
+            throw new Error('docmem-search requires <terms>');
+        }
+        const results = Docmem.search(scopeId === '*' ? scopeId : this._resolve(scopeId), terms).map(r => ({
+            id: r.node.id,
+            rootId: r.rootId,
+            snippet: r.snippet,
+            ancestors: r.ancestors.map(a => `${a.id} ${a.contextType} ${a.contextName}:${a.contextValue}`)
+        }));
+        return { success: true, result: `docmem-search:\n${JSON.stringify(results, null, 2)}` };
+    }
+
+    backlinks(reference) {
+        // Without a / the reference may be a tag rather than a node
+        const target = reference.includes('/') ? this._resolve(reference) : reference;
+        const results = Docmem.backlinks(target).map(r => ({
+            id: r.node.id,
+            rootId: r.rootId,
+            mention: `@${r.mention}`,
+            context: `${r.node.contextType} ${r.node.contextName}:${r.node.contextValue}`
+        }));
+        return { success: true, result: `docmem-backlinks:\n${JSON.stringify(results, null, 2)}` };
+    }
+
+    tags(rootId) {
+        const tags = Docmem.tags(this._resolve(rootId)).map(t => ({
+            tag: `@${t.tag}`,
+            isNode: t.isNode,
+            count: t.count,
+            nodeIds: t.nodeIds
+        }));
+        return { success: true, result: `docmem-tags:\n${JSON.stringify(tags, null, 2)}` };
     }
 
     addSummary(contextType, contextName, contextValue, content, nodeIds) {
@@ -110,25 +263,205 @@ export class DocmemCommands {
         const validatedContextName = this._validateFieldLength(contextName, 'context_name', 'docmem-add-summary');
         const validatedContextValue = this._validateFieldLength(contextValue, 'context_value', 'docmem-add-summary');
 
-        const node = this.docmem.add_summary(nodeIds, content, validatedContextType, validatedContextName, validatedContextValue);
+        const node = this.docmem.add_summary(nodeIds.map(id => this._resolve(id)), content, validatedContextType, validatedContextName, validatedContextValue);
         return { success: true, result: `docmem-add-summary added summary node: ${node.id}` };
     }
 
+    summarizeSpan(startId, endId, contextType, contextName, contextValue, content) {
+        const validatedContextType = this._validateFieldLength(contextType, 'context_type', 'docmem-summarize-span');
+        const validatedContextName = this._validateFieldLength(contextName, 'context_name', 'docmem-summarize-span');
+        const validatedContextValue = this._validateFieldLength(contextValue, 'context_value', 'docmem-summarize-span');
+
+        const node = this.docmem.add_summary_span(this._resolve(startId), this._resolve(endId), content, validatedContextType, validatedContextName, validatedContextValue);
+        return { success: true, result: `docmem-summarize-span added summary node: ${node.id}` };
+    }
+
+    unsummarize(summaryId, option) {
+        if (option !== undefined && option !== '--keep') {
+            throw new Error(`docmem-unsummarize: unknown option ${option}`);
+        }
+        const keepRecord = option === '--keep';
+        const restored = this.docmem.remove_summary(this._resolve(summaryId), keepRecord);
+        const kept = keepRecord ? ' (summary kept in docmem-history)' : '';
+        return { success: true, result: `docmem-unsummarize restored ${restored.length} nodes: ${restored.map(n => n.id).join(', ')}${kept}` };
+    }
+
+    setPriority(nodeId, level) {
+        const node = this.docmem.set_priority(this._resolve(nodeId), level);
+        return { success: true, result: `docmem-set-priority set node ${node.id} to ${node.priority}` };
+    }
+
+    setTtl(nodeId, duration) {
+        const node = this.docmem.set_ttl(this._resolve(nodeId), duration);
+        return { success: true, result: node.expiresAt ? `docmem-set-ttl node ${node.id} expires at ${node.expiresAt}` : `docmem-set-ttl cleared the expiry of node ${node.id}` };
+    }
+
+    sweep(rootId, option) {
+        if (option !== undefined && option !== '--collapse') {
+            throw new Error(`docmem-sweep: unknown option ${option}`);
+        }
+        const { collapsed, trashed } = this.docmem.sweep_expired(this._resolve(rootId), option === '--collapse');
+        const parts = [];
+        if (collapsed.length > 0) {
+            parts.push(`collapsed into summaries ${collapsed.map(n => n.id).join(', ')}`);
+        }
+        if (trashed.length > 0) {
+            parts.push(`moved to trash ${trashed.join(', ')}`);
+        }
+        return { success: true, result: `docmem-sweep ${parts.length > 0 ? parts.join('; ') : 'found no expired nodes'}` };
+    }
+
+    _expiryNote(node) {
+        return node.expiresAt ? ` (expires at ${node.expiresAt})` : '';
+    }
+
+    stick(startId, endId) {
+        const groupId = this.docmem.stick(this._resolve(startId), this._resolve(endId));
+        return { success: true, result: `docmem-stick created sticky group: ${groupId}` };
+    }
+
+    unstick(nodeId) {
+        const members = this.docmem.unstick(this._resolve(nodeId));
+        return { success: true, result: `docmem-unstick released ${members.length} nodes: ${members.map(n => n.id).join(', ')}` };
+    }
+
+    lockContext(rootId, schema) {
+        if (!schema || !schema.trim()) {
+            throw new Error('docmem-lock-context requires <schema>');
+        }
+        const normalized = this.docmem.lock_context(this._resolve(rootId), schema);
+        return { success: true, result: `docmem-lock-context locked schema on ${rootId}:\n${JSON.stringify(normalized, null, 2)}` };
+    }
+
+    unlockContext(rootId) {
+        this.docmem.unlock_context(this._resolve(rootId));
+        return { success: true, result: `docmem-unlock-context removed the schema from ${rootId}` };
+    }
+
+    contextSchema(rootId) {
+        const schema = this.docmem.get_context_schema(this._resolve(rootId));
+        if (!schema) {
+            return { success: true, result: `docmem-context-schema: ${rootId} has no context schema` };
+        }
+        return { success: true, result: `docmem-context-schema:\n${JSON.stringify(schema, null, 2)}` };
+    }
+
+    _takeRecordSource(commandName, option) {
+        if (option !== undefined && option !== '--record-source') {
+            throw new Error(`${commandName}: unknown option ${option}`);
+        }
+        return option === '--record-source';
+    }
+
+    copy(nodeId, targetParentId, option) {
+        const recordSource = this._takeRecordSource('docmem-copy', option);
+        const node = this.docmem.copy(this._resolve(nodeId), this._resolve(targetParentId), recordSource);
+        return { success: true, result: `docmem-copy copied ${nodeId} to new node: ${node.id}` };
+    }
+
+    fork(rootId, newRootId, option) {
+        const recordSource = this._takeRecordSource('docmem-fork', option);
+        const validatedRootId = this._validateFieldLength(newRootId, 'new-root-id', 'docmem-fork');
+        if (/[\s@\/]/.test(validatedRootId)) {
+            throw new Error(`docmem-fork requires new-root-id without spaces, @ or /, got: ${validatedRootId}`);
+        }
+        const root = this.docmem.fork(this._resolve(rootId), validatedRootId, recordSource);
+        return { success: true, result: `docmem-fork created docmem: ${root.id}` };
+    }
+
+    diff(aId, bId) {
+        const diff = this.docmem.diff(this._resolve(aId), this._resolve(bId));
+        const counts = `${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved, ${diff.reordered.length} reordered, ${diff.recontexted.length} context changed, ${diff.textChanged.length} text changed`;
+        return { success: true, result: `docmem-diff ${aId} ${bId}: ${counts}\n${formatSubtreeDiff(diff)}` };
+    }
+
+    _rootOf(commandName, reference) {
+        const rootId = Docmem.getRootId(this._resolve(reference));
+        if (!rootId) {
+            throw new Error(`${commandName}: node ${reference} not found`);
+        }
+        return rootId;
+    }
+
+    undo(rootId) {
+        const resolvedRootId = this._rootOf('docmem-undo', rootId);
+        const step = this.docmem.undo(resolvedRootId);
+        return { success: true, result: `docmem-undo undid ${step.operation} in ${resolvedRootId}` };
+    }
+
+    redo(rootId) {
+        const resolvedRootId = this._rootOf('docmem-redo', rootId);
+        const step = this.docmem.redo(resolvedRootId);
+        return { success: true, result: `docmem-redo redid ${step.operation} in ${resolvedRootId}` };
+    }
+
+    reorder(parentId) {
+        const children = this.docmem.reorder(this._resolve(parentId));
+        return { success: true, result: `docmem-reorder renumbered ${children.length} children of parent ${parentId}` };
+    }
+
     moveAppendChild(nodeId, targetParentId) {
-        const node = this.docmem.move_append_child(nodeId, targetParentId);
+        const node = this.docmem.move_append_child(this._resolve(nodeId), this._resolve(targetParentId));
         return { success: true, result: `docmem-move-append-child moved node ${nodeId} to parent ${targetParentId}` };
     }
 
     moveBefore(nodeId, targetNodeId) {
-        const node = this.docmem.move_before(nodeId, targetNodeId);
+        const node = this.docmem.move_before(this._resolve(nodeId), this._resolve(targetNodeId));
         return { success: true, result: `docmem-move-before moved node ${nodeId} before node ${targetNodeId}` };
     }
 
     moveAfter(nodeId, targetNodeId) {
-        const node = this.docmem.move_after(nodeId, targetNodeId);
+        const node = this.docmem.move_after(this._resolve(nodeId), this._resolve(targetNodeId));
         return { success: true, result: `docmem-move-after moved node ${nodeId} after node ${targetNodeId}` };
     }
 
+    fsck(option) {
+        if (option !== undefined && option !== '--repair') {
+            throw new Error(`docmem-fsck only accepts --repair, got: ${option}`);
+        }
+        const repair = option === '--repair';
+        const issues = Docmem.fsck(repair);
+        if (issues.length === 0) {
+            return { success: true, result: 'docmem-fsck found no problems' };
+        }
+        const verb = repair ? 'repaired' : 'found';
+        return { success: true, result: `docmem-fsck ${verb} ${issues.length} problems:\n${JSON.stringify(issues, null, 2)}` };
+    }
+
+    /**
+     * Apply a list of commands all-or-nothing
+     * @param {Array<{command: string, args: string[]}>} commandList - Parsed sub-commands
+     * @param {function(string[]): Promise<{success: boolean, result: string}>} execute - Runs one sub-command
+     */
+    async batch(commandList, execute) {
+        if (commandList.length === 0) {
+            throw new Error('docmem-batch requires at least one command');
+        }
+        const nested = commandList.find(c => c.args[0] === 'docmem-batch');
+        if (nested) {
+            throw new Error('docmem-batch cannot contain another docmem-batch');
+        }
+
+        const output = [];
+        this.docmem.begin();
+        try {
+            for (let i = 0; i < commandList.length; i++) {
+                const { command, args } = commandList[i];
+                const result = await execute(args);
+                output.push(`command> ${command}\n${result.success ? 'result' : 'error'}> ${result.result}`);
+                if (!result.success) {
+                    this.docmem.rollback();
+                    return { success: false, result: `docmem-batch rolled back, command ${i + 1} of ${commandList.length} failed:\n${output.join('\n')}` };
+                }
+            }
+        } catch (error) {
+            this.docmem.rollback();
+            throw error;
+        }
+        this.docmem.commit();
+        return { success: true, result: `docmem-batch applied ${commandList.length} commands:\n${output.join('\n')}` };
+    }
+
     getAllRoots() {
         const roots = Docmem.getAllRoots();
         return { success: true, result: `docmem-get-all-roots:\n${JSON.stringify(roots, null, 2)}` };
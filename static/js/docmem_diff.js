@@ -0,0 +1,196 @@
+/**
+ * Docmem diff - Compare two serialized subtrees (Docmem.serialize output or node dicts)
+ *
+ * Nodes are matched by id, or by copiedFrom when one subtree was copied from the other
+ * (docmem-copy / docmem-fork with --record-source), so a subtree can be compared with
+ * a later version of itself or with a fork taken as a snapshot. The two starting nodes are
+ * always matched to each other.
+ */
+
+/**
+ * Longest common subsequence of two arrays, as pairs of indexes
+ * @returns {Array<[number, number]>}
+ */
+function longestCommonSubsequence(a, b, equals = (x, y) => x === y) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = equals(a[i], b[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (equals(a[i], b[j])) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Line-level diff of two texts
+ * @returns {Array<{op: string, text: string}>} - op is 'same', 'removed' or 'added'
+ */
+function diffLines(aText, bText) {
+    const aLines = (aText || '').split('\n');
+    const bLines = (bText || '').split('\n');
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    for (const [ai, bj] of longestCommonSubsequence(aLines, bLines)) {
+        while (i < ai) {
+            lines.push({ op: 'removed', text: aLines[i++] });
+        }
+        while (j < bj) {
+            lines.push({ op: 'added', text: bLines[j++] });
+        }
+        lines.push({ op: 'same', text: aLines[i] });
+        i++;
+        j++;
+    }
+    while (i < aLines.length) {
+        lines.push({ op: 'removed', text: aLines[i++] });
+    }
+    while (j < bLines.length) {
+        lines.push({ op: 'added', text: bLines[j++] });
+    }
+    return lines;
+}
+
+/**
+ * Compare two serialized subtrees
+ * @param {Array<Node|Object>} aNodes - First subtree, starting node first, in document order
+ * @param {Array<Node|Object>} bNodes - Second subtree, likewise
+ * @returns {Object} - { added, removed, moved, reordered, recontexted, textChanged, rows }
+ *   added/removed hold nodes; moved/reordered/recontexted/textChanged hold { a, b, ... } pairs;
+ *   rows pair up the nodes of both sides in document order for a side-by-side view
+ */
+function diffSubtrees(aNodes, bNodes) {
+    const aById = new Map(aNodes.map(n => [n.id, n]));
+    const bById = new Map(bNodes.map(n => [n.id, n]));
+
+    // b id -> matching a node
+    const matches = new Map();
+    const matchedA = new Set();
+    const match = (bNode, aNode) => {
+        if (aNode && bNode && !matchedA.has(aNode.id) && !matches.has(bNode.id)) {
+            matches.set(bNode.id, aNode);
+            matchedA.add(aNode.id);
+        }
+    };
+    if (aNodes.length > 0 && bNodes.length > 0) {
+        match(bNodes[0], aNodes[0]);
+    }
+    bNodes.forEach(bNode => match(bNode, aById.get(bNode.id)));
+    bNodes.forEach(bNode => match(bNode, aById.get(bNode.copiedFrom)));
+    aNodes.forEach(aNode => match(bById.get(aNode.copiedFrom), aNode));
+
+    const diff = { added: [], removed: [], moved: [], reordered: [], recontexted: [], textChanged: [], rows: [] };
+    const changesById = new Map();
+    const note = (bNode, change) => {
+        if (!changesById.has(bNode.id)) {
+            changesById.set(bNode.id, []);
+        }
+        changesById.get(bNode.id).push(change);
+    };
+
+    // Parent of a b node, expressed as the id of the matching a node
+    const parentInA = (bNode) => {
+        const parentMatch = matches.get(bNode.parentId);
+        return parentMatch ? parentMatch.id : bNode.parentId;
+    };
+
+    for (const bNode of bNodes) {
+        const aNode = matches.get(bNode.id);
+        if (!aNode) {
+            diff.added.push(bNode);
+            note(bNode, 'added');
+            continue;
+        }
+        if (bNode !== bNodes[0] && parentInA(bNode) !== aNode.parentId) {
+            diff.moved.push({ a: aNode, b: bNode, fromParentId: aNode.parentId, toParentId: bNode.parentId });
+            note(bNode, 'moved');
+        }
+        if (aNode.contextType !== bNode.contextType || aNode.contextName !== bNode.contextName || aNode.contextValue !== bNode.contextValue) {
+            diff.recontexted.push({ a: aNode, b: bNode });
+            note(bNode, 'context');
+        }
+        if (aNode.text !== bNode.text) {
+            diff.textChanged.push({ a: aNode, b: bNode, lines: diffLines(aNode.text, bNode.text) });
+            note(bNode, 'text');
+        }
+    }
+    diff.removed = aNodes.filter(n => !matchedA.has(n.id));
+
+    // Reordered: siblings that stayed under the same parent but changed relative position
+    const stayedByParent = new Map();
+    for (const bNode of bNodes.slice(1)) {
+        const aNode = matches.get(bNode.id);
+        if (aNode && parentInA(bNode) === aNode.parentId) {
+            if (!stayedByParent.has(aNode.parentId)) {
+                stayedByParent.set(aNode.parentId, []);
+            }
+            stayedByParent.get(aNode.parentId).push({ a: aNode, b: bNode });
+        }
+    }
+    const aIndex = new Map(aNodes.map((n, index) => [n.id, index]));
+    for (const pairs of stayedByParent.values()) {
+        const aOrder = [...pairs].sort((x, y) => aIndex.get(x.a.id) - aIndex.get(y.a.id));
+        const kept = new Set(longestCommonSubsequence(aOrder, pairs).map(([i]) => aOrder[i]));
+        for (const pair of pairs.filter(p => !kept.has(p))) {
+            diff.reordered.push(pair);
+            note(pair.b, 'reordered');
+        }
+    }
+
+    // Side-by-side rows in b's document order, with removed nodes after their a predecessor
+    let nextA = 0;
+    const flushRemovedBefore = (limit) => {
+        for (; nextA < limit; nextA++) {
+            if (!matchedA.has(aNodes[nextA].id)) {
+                diff.rows.push({ a: aNodes[nextA], b: null, changes: ['removed'] });
+            }
+        }
+    };
+    for (const bNode of bNodes) {
+        const aNode = matches.get(bNode.id);
+        if (aNode) {
+            flushRemovedBefore(aIndex.get(aNode.id));
+            nextA = Math.max(nextA, aIndex.get(aNode.id) + 1);
+        }
+        diff.rows.push({ a: aNode || null, b: bNode, changes: changesById.get(bNode.id) || [] });
+    }
+    flushRemovedBefore(aNodes.length);
+
+    return diff;
+}
+
+/**
+ * Plain-text report of a subtree diff, one change per line with indented line diffs
+ */
+function formatSubtreeDiff(diff) {
+    const context = n => `${n.contextType} ${n.contextName}:${n.contextValue}`;
+    const preview = n => JSON.stringify((n.text || '').split('\n')[0].substring(0, 60));
+    const lines = [];
+    diff.added.forEach(n => lines.push(`added ${n.id} under ${n.parentId}: ${context(n)} ${preview(n)}`));
+    diff.removed.forEach(n => lines.push(`removed ${n.id} from ${n.parentId}: ${context(n)} ${preview(n)}`));
+    diff.moved.forEach(m => lines.push(`moved ${m.b.id}: parent ${m.fromParentId} -> ${m.toParentId}`));
+    diff.reordered.forEach(r => lines.push(`reordered ${r.b.id} under ${r.b.parentId}`));
+    diff.recontexted.forEach(c => lines.push(`context ${c.b.id}: ${context(c.a)} -> ${context(c.b)}`));
+    diff.textChanged.forEach(t => {
+        lines.push(`text ${t.b.id}:`);
+        t.lines.filter(l => l.op !== 'same').forEach(l => lines.push(`  ${l.op === 'added' ? '+' : '-'} ${l.text}`));
+    });
+    return lines.length > 0 ? lines.join('\n') : 'no differences';
+}
@@ -0,0 +1,218 @@
+/**
+ * Docmem filter language - Select nodes by context metadata, size, age and depth
+ *
+ * A filter is a boolean combination of comparisons:
+ *   context_type = task and (context_value = todo or context_value ~ "in prog*")
+ *   tokens > 200 and not priority = low and depth <= 2
+ *   updated >= 2026-01-01
+ * Operators: = and != compare exactly, ~ and !~ match a glob (* any run, ? one character),
+ * and <, <=, >, >= compare numbers or timestamps. and binds tighter than or; not negates the
+ * comparison or parenthesized group after it. Values with spaces or operators MUST be quoted.
+ */
+
+// Filter field -> how to read it from a node and what kind of value it holds
+const FILTER_FIELDS = {
+    id: { kind: 'text', read: (node) => node.id },
+    parent: { kind: 'text', read: (node) => node.parentId },
+    type: { kind: 'text', read: (node) => node.contextType },
+    name: { kind: 'text', read: (node) => node.contextName },
+    value: { kind: 'text', read: (node) => node.contextValue },
+    priority: { kind: 'text', read: (node) => node.priority },
+    tokens: { kind: 'number', read: (node) => node.tokenCount },
+    depth: { kind: 'number', read: (node, depth) => depth },
+    created: { kind: 'time', read: (node) => node.createdAt },
+    updated: { kind: 'time', read: (node) => node.updatedAt }
+};
+
+const FILTER_FIELD_ALIASES = {
+    parent_id: 'parent',
+    context_type: 'type',
+    context_name: 'name',
+    context_value: 'value',
+    token_count: 'tokens',
+    created_at: 'created',
+    updated_at: 'updated'
+};
+
+const FILTER_OPERATORS = ['!=', '!~', '<=', '>=', '=', '~', '<', '>'];
+
+/**
+ * Split a filter into tokens: parentheses, operators, quoted strings and bare words
+ * @returns {Array<{type: string, text: string}>} - type is 'paren', 'op', 'string' or 'word'
+ */
+function tokenizeFilter(filter) {
+    const tokens = [];
+    let i = 0;
+    while (i < filter.length) {
+        const char = filter[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: 'paren', text: char });
+            i++;
+        } else if (char === '"' || char === "'") {
+            const end = filter.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new Error(`Invalid filter: unterminated ${char} string`);
+            }
+            tokens.push({ type: 'string', text: filter.substring(i + 1, end) });
+            i = end + 1;
+        } else {
+            const op = FILTER_OPERATORS.find(candidate => filter.startsWith(candidate, i));
+            if (op) {
+                tokens.push({ type: 'op', text: op });
+                i += op.length;
+                continue;
+            }
+            let end = i;
+            while (end < filter.length && !/[\s()"'=!~<>]/.test(filter[end])) {
+                end++;
+            }
+            if (end === i) {
+                throw new Error(`Invalid filter: unexpected ${char}`);
+            }
+            tokens.push({ type: 'word', text: filter.substring(i, end) });
+            i = end;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Turn a glob into an anchored regular expression
+ */
+function globToRegExp(glob) {
+    const pattern = glob
+        .split('')
+        .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+    return new RegExp(`^${pattern}$`, 's');
+}
+
+/**
+ * Build the test for one comparison
+ * @returns {function(Node, number): boolean}
+ */
+function compileComparison(fieldName, op, rawValue) {
+    const field = FILTER_FIELDS[FILTER_FIELD_ALIASES[fieldName] || fieldName];
+    if (!field) {
+        throw new Error(`Invalid filter: unknown field ${fieldName} (use ${Object.keys(FILTER_FIELDS).join(', ')})`);
+    }
+
+    if (op === '~' || op === '!~') {
+        if (field.kind !== 'text') {
+            throw new Error(`Invalid filter: ${op} needs a text field, not ${fieldName}`);
+        }
+        const regex = globToRegExp(rawValue);
+        const negate = op === '!~';
+        return (node, depth) => regex.test(field.read(node, depth) ?? '') !== negate;
+    }
+
+    let value = rawValue;
+    if (field.kind === 'number') {
+        value = Number(rawValue);
+        if (rawValue === '' || Number.isNaN(value)) {
+            throw new Error(`Invalid filter: ${fieldName} needs a number, got ${rawValue}`);
+        }
+    } else if (field.kind === 'time') {
+        const time = new Date(rawValue);
+        if (Number.isNaN(time.getTime())) {
+            throw new Error(`Invalid filter: ${fieldName} needs a timestamp, got ${rawValue}`);
+        }
+        // Stored timestamps are ISO 8601 in UTC, so they compare as text
+        value = time.toISOString();
+    } else if (op !== '=' && op !== '!=') {
+        throw new Error(`Invalid filter: ${op} needs a number or timestamp field, not ${fieldName}`);
+    }
+
+    const compare = {
+        '=': (a, b) => a === b,
+        '!=': (a, b) => a !== b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b
+    }[op];
+    return (node, depth) => compare(field.read(node, depth), value);
+}
+
+/**
+ * Parse a filter into a predicate
+ * @param {string} filter - Filter text, see the top of this file
+ * @returns {function(Node, number): boolean} - Called with a node and its depth below the selection root
+ * @throws {Error} - When the filter is not valid
+ */
+function parseNodeFilter(filter) {
+    const tokens = tokenizeFilter(filter || '');
+    if (tokens.length === 0) {
+        throw new Error('Invalid filter: filter is empty');
+    }
+    let position = 0;
+    const peek = () => tokens[position];
+    const isKeyword = (token, keyword) => token && token.type === 'word' && token.text.toLowerCase() === keyword;
+    const describe = (token) => token ? `"${token.text}"` : 'end of filter';
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isKeyword(peek(), 'or')) {
+            position++;
+            const right = parseAnd();
+            const first = left;
+            left = (node, depth) => first(node, depth) || right(node, depth);
+        }
+        return left;
+    };
+
+    const parseAnd = () => {
+        let left = parseNot();
+        while (isKeyword(peek(), 'and')) {
+            position++;
+            const right = parseNot();
+            const first = left;
+            left = (node, depth) => first(node, depth) && right(node, depth);
+        }
+        return left;
+    };
+
+    const parseNot = () => {
+        if (isKeyword(peek(), 'not')) {
+            position++;
+            const inner = parseNot();
+            return (node, depth) => !inner(node, depth);
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token && token.type === 'paren' && token.text === '(') {
+            position++;
+            const inner = parseOr();
+            const close = peek();
+            if (!close || close.type !== 'paren' || close.text !== ')') {
+                throw new Error(`Invalid filter: expected ) but found ${describe(close)}`);
+            }
+            position++;
+            return inner;
+        }
+        if (!token || token.type !== 'word') {
+            throw new Error(`Invalid filter: expected a field but found ${describe(token)}`);
+        }
+        const op = tokens[position + 1];
+        if (!op || op.type !== 'op') {
+            throw new Error(`Invalid filter: expected an operator after ${token.text} but found ${describe(op)}`);
+        }
+        const value = tokens[position + 2];
+        if (!value || (value.type !== 'word' && value.type !== 'string')) {
+            throw new Error(`Invalid filter: expected a value after ${token.text} ${op.text} but found ${describe(value)}`);
+        }
+        position += 3;
+        return compileComparison(token.text.toLowerCase(), op.text, value.text);
+    };
+
+    const predicate = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Invalid filter: unexpected ${describe(peek())}`);
+    }
+    return predicate;
+}
@@ -0,0 +1,79 @@
+/**
+ * HashedBagOfWordsEmbedder - Local text embedder for docmem semantic search
+ *
+ * Hashes each word into a fixed number of buckets (the "hashing trick"), weights
+ * by log term frequency and L2-normalizes, so cosine similarity is a dot product.
+ * Runs fully offline. Any object with the same shape can be plugged in with
+ * Docmem.setEmbedder():
+ *   - name: string identifying the embedder (stored with each vector)
+ *   - dimensions: vector length
+ *   - embed(text): returns a Float32Array of length dimensions
+ */
+class HashedBagOfWordsEmbedder {
+    constructor(dimensions = 512) {
+        this.dimensions = dimensions;
+        this.name = `hashed-bow-${dimensions}`;
+    }
+
+    _tokenize(text) {
+        if (!text) return [];
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(word => word.length > 1 && !HashedBagOfWordsEmbedder.STOP_WORDS.has(word))
+            .map(word => this._stem(word));
+    }
+
+    // Fold simple plurals together so "cat" matches "cats"
+    _stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) {
+            return word.slice(0, -3) + 'y';
+        }
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+            return word.slice(0, -1);
+        }
+        return word;
+    }
+
+    // FNV-1a 32-bit hash
+    _hash(word) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < word.length; i++) {
+            hash ^= word.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    embed(text) {
+        const vector = new Float32Array(this.dimensions);
+        const counts = new Map();
+        for (const word of this._tokenize(text)) {
+            counts.set(word, (counts.get(word) || 0) + 1);
+        }
+
+        for (const [word, count] of counts) {
+            const hash = this._hash(word);
+            // High bit picks the sign so colliding words tend to cancel rather than pile up
+            const sign = (hash & 0x80000000) ? -1 : 1;
+            vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+        }
+
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) {
+            norm += vector[i] * vector[i];
+        }
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) {
+                vector[i] /= norm;
+            }
+        }
+        return vector;
+    }
+}
+
+HashedBagOfWordsEmbedder.STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'he', 'her', 'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'so', 'that',
+    'the', 'their', 'them', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+    'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
@@ -15,6 +15,17 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Initial render to show roots list
     renderDocmem();
+
+    // Re-render once the saved database has been restored from IndexedDB
+    initSharedDatabase()
+        .then(() => {
+            renderSaveStatus(Docmem.getLastSavedAt());
+            renderDocmem();
+        })
+        .catch(error => {
+            console.error('Error loading docmem database:', error);
+            showMessage('Error loading docmem database: ' + error.message, 'error');
+        });
 });
 
 function initTabs() {
@@ -54,11 +65,193 @@ function initDocmem() {
     refreshBtn.addEventListener('click', () => {
         renderDocmem();
     });
+
+    const saveNowBtn = document.getElementById('save-now-btn');
+    saveNowBtn.addEventListener('click', async () => {
+        try {
+            await Docmem.saveNow();
+            showMessage('Docmem database saved', 'success');
+        } catch (error) {
+            console.error('Error saving docmem database:', error);
+            if (error.message.startsWith('Conflict:') && confirm(`${error.message}\n\nOverwrite the other tab's changes?`)) {
+                await Docmem.saveNow({ force: true });
+                showMessage('Docmem database saved', 'success');
+                return;
+            }
+            showMessage('Error saving docmem database: ' + error.message, 'error');
+        }
+    });
+
+    const searchBtn = document.getElementById('docmem-search-btn');
+    const searchInput = document.getElementById('docmem-search-input');
+    searchBtn.addEventListener('click', () => {
+        searchDocmems(searchInput.value.trim());
+    });
+    searchInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            searchDocmems(searchInput.value.trim());
+        }
+    });
+
+    const fsckBtn = document.getElementById('fsck-btn');
+    fsckBtn.addEventListener('click', () => {
+        checkIntegrity();
+    });
+
+    document.getElementById('undo-btn').addEventListener('click', () => {
+        undoRedo('undo');
+    });
+
+    document.getElementById('redo-btn').addEventListener('click', () => {
+        undoRedo('redo');
+    });
+
+    window.addEventListener('docmem-saved', (e) => {
+        renderSaveStatus(e.detail.savedAt);
+    });
+
+    window.addEventListener('docmem-save-conflict', () => {
+        showMessage('Not saved: another tab saved the docmem database. Reload to get its changes, or use Save Now to overwrite them.', 'error');
+    });
+}
+
+/**
+ * Undo or redo the latest change to the current docmem
+ * @param {string} direction - 'undo' or 'redo'
+ */
+function undoRedo(direction) {
+    if (!currentDocmem) {
+        showMessage(`Load a docmem to ${direction}`, 'error');
+        return;
+    }
+    try {
+        const step = currentDocmem[direction](currentDocmem.docmemId);
+        showMessage(`${direction === 'undo' ? 'Undid' : 'Redid'} ${step.operation}`, 'success');
+        renderDocmem();
+    } catch (error) {
+        showMessage('Error: ' + error.message, 'error');
+    }
+}
+
+// Snippet match markers, replaced with <mark> after HTML escaping
+const SEARCH_MARK_OPEN = '\u0002';
+const SEARCH_MARK_CLOSE = '\u0003';
+
+function searchDocmems(terms) {
+    const resultsDiv = document.getElementById('docmem-search-results');
+    if (!terms) {
+        resultsDiv.innerHTML = '';
+        return;
+    }
+
+    const currentOnly = document.getElementById('docmem-search-current').checked;
+    if (currentOnly && !currentDocmem) {
+        showMessage('Load a docmem to search only the current docmem', 'error');
+        return;
+    }
+
+    try {
+        const scopeId = currentOnly ? currentDocmem.docmemId : '*';
+        const results = Docmem.search(scopeId, terms, { open: SEARCH_MARK_OPEN, close: SEARCH_MARK_CLOSE });
+        if (results.length === 0) {
+            resultsDiv.innerHTML = '<div>No matches found</div>';
+            return;
+        }
+
+        resultsDiv.innerHTML = results.map(r => {
+            const snippet = escapeHtml(r.snippet)
+                .split(SEARCH_MARK_OPEN).join('<mark>')
+                .split(SEARCH_MARK_CLOSE).join('</mark>');
+            const path = r.ancestors
+                .map(a => `${escapeHtml(a.contextType)}:${escapeHtml(a.contextValue)}`)
+                .concat(`${escapeHtml(r.node.contextType)}:${escapeHtml(r.node.contextValue)}`)
+                .join(' / ');
+            return `
+                <div class="search-result" data-root-id="${escapeHtml(r.rootId)}" data-node-id="${escapeHtml(r.node.id)}">
+                    <div class="search-result-path">${path} (${escapeHtml(r.node.id)})</div>
+                    <div>${snippet}</div>
+                </div>
+            `;
+        }).join('');
+
+        resultsDiv.querySelectorAll('.search-result').forEach(div => {
+            div.addEventListener('click', async () => {
+                await jumpToNode(div.getAttribute('data-root-id'), div.getAttribute('data-node-id'));
+            });
+        });
+    } catch (error) {
+        showMessage('Error searching: ' + error.message, 'error');
+    }
+}
+
+async function jumpToNode(rootId, nodeId) {
+    if (!currentDocmem || currentDocmem.docmemId !== rootId) {
+        await loadDocmem(rootId);
+    }
+    const header = document.querySelector(`#docmem-tree .docmem-node-header[data-node-id="${CSS.escape(nodeId)}"]`);
+    if (!header) {
+        showMessage(`Node ${nodeId} not found in tree`, 'error');
+        return;
+    }
+
+    // Open any collapsed ancestors so the node is visible
+    let element = header.parentElement;
+    while (element && element.id !== 'docmem-tree') {
+        if (element.classList.contains('docmem-node-children') && element.style.display === 'none') {
+            element.style.display = 'block';
+            const parentHeader = element.parentElement.querySelector('.docmem-node-header');
+            parentHeader.querySelector('.docmem-expand-icon').textContent = '▼';
+        }
+        element = element.parentElement;
+    }
+
+    header.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    header.classList.add('search-highlight');
+    setTimeout(() => header.classList.remove('search-highlight'), 2000);
+}
+
+function checkIntegrity() {
+    try {
+        const issues = Docmem.fsck(false);
+        if (issues.length === 0) {
+            showMessage('Integrity check found no problems', 'success');
+            return;
+        }
+
+        const report = issues.map(issue => `${issue.type} ${issue.nodeId}: ${issue.detail} (${issue.repair})`).join('\n');
+        if (!confirm(`Integrity check found ${issues.length} problems:\n\n${report}\n\nRepair them?`)) {
+            showMessage(`Integrity check found ${issues.length} problems`, 'error');
+            return;
+        }
+
+        Docmem.fsck(true);
+        // The current docmem root may have been removed as an orphan
+        if (currentDocmem && !currentDocmem.find(currentDocmem.docmemId)) {
+            currentDocmem = null;
+        }
+        renderDocmem();
+        showMessage(`Repaired ${issues.length} problems`, 'success');
+    } catch (error) {
+        console.error('Error checking integrity:', error);
+        showMessage('Error checking integrity: ' + error.message, 'error');
+    }
+}
+
+function renderSaveStatus(savedAt) {
+    const saveStatus = document.getElementById('docmem-save-status');
+    if (!saveStatus) {
+        return;
+    }
+    saveStatus.textContent = savedAt
+        ? `Last saved: ${new Date(savedAt).toLocaleString()}`
+        : 'Not saved yet';
+    saveStatus.title = savedAt || '';
 }
 
 async function createDocmem(docmemId) {
     try {
-        currentDocmem = new Docmem(docmemId);
+        currentDocmem = new Docmem(docmemId, 'ui');
         await currentDocmem.ready();
         renderDocmem();
         showMessage(`Docmem created: ${docmemId}`, 'success');
@@ -70,7 +263,7 @@ async function createDocmem(docmemId) {
 
 async function loadDocmem(docmemId) {
     try {
-        currentDocmem = new Docmem(docmemId);
+        currentDocmem = new Docmem(docmemId, 'ui');
         await currentDocmem.ready();
         renderDocmem();
         const docmemIdInput = document.getElementById('docmem-id-input');
@@ -101,12 +294,31 @@ function renderDocmem() {
     }
 
     const root = currentDocmem._getRoot();
+    const schema = currentDocmem.get_context_schema(root.id);
+    const schemaText = schema ? JSON.stringify(schema, null, 2) : '';
+    const trashEntries = Docmem.trashList(root.id);
+    const trashRows = trashEntries.map(entry => `
+        <div class="trash-entry">
+            <span class="docmem-node-type">${escapeHtml(entry.node.contextType)} ${escapeHtml(entry.node.contextName)}:${escapeHtml(entry.node.contextValue)} (${escapeHtml(entry.node.id)})</span>
+            <span class="docmem-node-meta">${entry.nodeCount} nodes from ${escapeHtml(entry.parentId)}, trashed ${escapeHtml(entry.trashedAt)}</span>
+            <button class="trash-restore-btn" data-node-id="${escapeHtml(entry.node.id)}">Restore</button>
+            <button class="trash-purge-btn" data-node-id="${escapeHtml(entry.node.id)}">Purge</button>
+        </div>
+    `).join('');
     
     container.innerHTML = `
         <div class="operation-section" style="margin-bottom: 2rem;">
             <h3>All Docmem Roots</h3>
             <div id="roots-list"></div>
         </div>
+        <div class="operation-section stats-section">
+            <h3>Statistics</h3>
+            <div class="input-row">
+                <input type="text" id="stats-node-id" placeholder="Node ID (default: root)" />
+                <button id="stats-btn">Show Stats</button>
+            </div>
+            <div id="stats-panel"></div>
+        </div>
         <div class="expand-controls">
             <label>Expand to token limit:</label>
             <input type="number" id="expand-token-limit" value="1000" min="1" />
@@ -173,6 +385,90 @@ function renderDocmem() {
                 <textarea id="summary-content" placeholder="Summary Content"></textarea>
                 <button id="summary-btn">Add Summary</button>
             </div>
+            <div class="operation-section">
+                <h4>Summarize Span</h4>
+                <div class="input-row">
+                    <input type="text" id="span-start-id" placeholder="Start Node ID" />
+                    <input type="text" id="span-end-id" placeholder="End Node ID" />
+                </div>
+                <div class="input-row">
+                    <input type="text" id="span-context-type" placeholder="Context Type" />
+                    <input type="text" id="span-context-name" placeholder="Context Name" />
+                    <input type="text" id="span-context-value" placeholder="Context Value" />
+                </div>
+                <textarea id="span-content" placeholder="Summary Content"></textarea>
+                <button id="span-btn">Summarize Span</button>
+            </div>
+            <div class="operation-section">
+                <h4>Set Priority</h4>
+                <div class="input-row">
+                    <input type="text" id="priority-node-id" placeholder="Node ID" />
+                    <select id="priority-level">
+                        <option value="must">must</option>
+                        <option value="high">high</option>
+                        <option value="normal" selected>normal</option>
+                        <option value="low">low</option>
+                    </select>
+                </div>
+                <button id="priority-btn">Set Priority</button>
+            </div>
+            <div class="operation-section">
+                <h4>Time to Live</h4>
+                <div class="input-row">
+                    <input type="text" id="ttl-node-id" placeholder="Node ID" />
+                    <input type="text" id="ttl-duration" placeholder="Duration (30m, 1h30m, 2d or none)" />
+                </div>
+                <button id="ttl-btn">Set TTL</button>
+                <div class="input-row">
+                    <label><input type="checkbox" id="sweep-collapse" /> Collapse into summaries</label>
+                </div>
+                <button id="sweep-btn">Sweep Expired</button>
+            </div>
+            <div class="operation-section">
+                <h4>Copy Subtree</h4>
+                <div class="input-row">
+                    <input type="text" id="copy-node-id" placeholder="Node ID" />
+                    <input type="text" id="copy-target-parent-id" placeholder="Target Parent ID" />
+                    <label><input type="checkbox" id="copy-record-source" /> Record source</label>
+                </div>
+                <button id="copy-btn">Copy</button>
+            </div>
+            <div class="operation-section">
+                <h4>Fork Docmem</h4>
+                <div class="input-row">
+                    <input type="text" id="fork-root-id" placeholder="New Root ID" />
+                    <label><input type="checkbox" id="fork-record-source" /> Record source</label>
+                </div>
+                <button id="fork-btn">Fork</button>
+            </div>
+            <div class="operation-section">
+                <h4>Context Schema</h4>
+                <textarea id="context-schema" placeholder='{"types": {"section": {"children": ["paragraph"]}, "paragraph": {}}}'>${escapeHtml(schemaText)}</textarea>
+                <button id="lock-context-btn">Lock Schema</button>
+                <button id="unlock-context-btn">Unlock Schema</button>
+            </div>
+            <div class="operation-section">
+                <h4>Sticky Group</h4>
+                <div class="input-row">
+                    <input type="text" id="sticky-start-id" placeholder="Start Node ID" />
+                    <input type="text" id="sticky-end-id" placeholder="End Node ID" />
+                </div>
+                <button id="stick-btn">Stick</button>
+                <button id="unstick-btn">Unstick</button>
+            </div>
+            <div class="operation-section">
+                <h4>Unsummarize</h4>
+                <div class="input-row">
+                    <input type="text" id="unsummarize-id" placeholder="Summary Node ID" />
+                    <label><input type="checkbox" id="unsummarize-keep" checked /> Keep summary in history</label>
+                </div>
+                <button id="unsummarize-btn">Unsummarize</button>
+            </div>
+            <div class="operation-section">
+                <h4>Trash (${trashEntries.length})</h4>
+                ${trashRows || '<div class="docmem-node-meta">Trash is empty</div>'}
+                ${trashEntries.length > 0 ? '<button id="empty-trash-btn">Empty Trash</button>' : ''}
+            </div>
         </div>
         <div id="docmem-tree" class="docmem-tree"></div>
         <div id="expanded-content" class="expanded-content" style="display: none;"></div>
@@ -180,6 +476,16 @@ function renderDocmem() {
 
     renderTree(root, document.getElementById('docmem-tree'));
     renderRootsList();
+    renderStats(currentDocmem.stats(root.id));
+
+    document.getElementById('stats-btn').addEventListener('click', () => {
+        const nodeId = document.getElementById('stats-node-id').value.trim() || root.id;
+        try {
+            renderStats(currentDocmem.stats(Docmem.resolveReference(nodeId)));
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
 
     const expandBtn = document.getElementById('expand-btn');
     const serializeBtn = document.getElementById('serialize-btn');
@@ -197,7 +503,7 @@ function renderDocmem() {
         // Use root node ID for serialize in the UI
         const rootId = root.id;
         const serialized = currentDocmem.serialize(rootId);
-        renderExpanded(serialized);
+        renderExpanded(serialized.map(node => ({ node, collapsed: false, hiddenNodes: 0 })));
     });
 
     // Operation handlers
@@ -269,7 +575,8 @@ function renderDocmem() {
 
     const updateBtn = document.getElementById('update-btn');
     updateBtn.addEventListener('click', () => {
-        const nodeId = document.getElementById('update-node-id').value.trim();
+        const nodeIdInput = document.getElementById('update-node-id');
+        const nodeId = nodeIdInput.value.trim();
         const content = document.getElementById('update-content').value.trim();
         
         if (!nodeId || !content) {
@@ -278,6 +585,10 @@ function renderDocmem() {
         }
         
         try {
+            // Only check the hash if the form was filled from this same node
+            if (nodeIdInput.dataset.expectedHash && nodeIdInput.dataset.expectedNodeId === nodeId) {
+                currentDocmem.checkExpectedHash(nodeId, { hash: nodeIdInput.dataset.expectedHash });
+            }
             const node = currentDocmem.update_content(nodeId, content);
             showMessage(`Node updated: ${node.id}`, 'success');
             renderDocmem();
@@ -314,9 +625,256 @@ function renderDocmem() {
             showMessage('Error: ' + error.message, 'error');
         }
     });
+
+    const spanBtn = document.getElementById('span-btn');
+    spanBtn.addEventListener('click', () => {
+        const startId = document.getElementById('span-start-id').value.trim();
+        const endId = document.getElementById('span-end-id').value.trim();
+        const content = document.getElementById('span-content').value.trim();
+        const contextType = document.getElementById('span-context-type').value.trim();
+        const contextName = document.getElementById('span-context-name').value.trim();
+        const contextValue = document.getElementById('span-context-value').value.trim();
+        
+        if (!startId || !endId || !content || !contextType || !contextName || !contextValue) {
+            showMessage('Start and end node IDs, summary content, and all context fields are required', 'error');
+            return;
+        }
+        
+        try {
+            const node = currentDocmem.add_summary_span(startId, endId, content, contextType, contextName, contextValue);
+            showMessage(`Summary created: ${node.id}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const priorityBtn = document.getElementById('priority-btn');
+    priorityBtn.addEventListener('click', () => {
+        const nodeId = document.getElementById('priority-node-id').value.trim();
+        const level = document.getElementById('priority-level').value;
+        
+        if (!nodeId) {
+            showMessage('Node ID is required', 'error');
+            return;
+        }
+        
+        try {
+            currentDocmem.set_priority(nodeId, level);
+            showMessage(`Priority of ${nodeId} set to ${level}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    document.getElementById('ttl-btn').addEventListener('click', () => {
+        const nodeId = document.getElementById('ttl-node-id').value.trim();
+        const duration = document.getElementById('ttl-duration').value.trim();
+        
+        if (!nodeId || !duration) {
+            showMessage('Node ID and duration are required', 'error');
+            return;
+        }
+        
+        try {
+            const node = currentDocmem.set_ttl(nodeId, duration);
+            showMessage(node.expiresAt ? `${nodeId} expires at ${node.expiresAt}` : `Cleared the expiry of ${nodeId}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    document.getElementById('sweep-btn').addEventListener('click', () => {
+        const collapse = document.getElementById('sweep-collapse').checked;
+        try {
+            const { collapsed, trashed } = currentDocmem.sweep_expired(root.id, collapse);
+            showMessage(`Swept expired nodes: ${collapsed.length} summaries, ${trashed.length} moved to trash`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const copyBtn = document.getElementById('copy-btn');
+    copyBtn.addEventListener('click', () => {
+        const nodeId = document.getElementById('copy-node-id').value.trim();
+        const targetParentId = document.getElementById('copy-target-parent-id').value.trim();
+        const recordSource = document.getElementById('copy-record-source').checked;
+        
+        if (!nodeId || !targetParentId) {
+            showMessage('Node ID and target parent ID are required', 'error');
+            return;
+        }
+        
+        try {
+            const copy = currentDocmem.copy(nodeId, targetParentId, recordSource);
+            showMessage(`Copied to new node: ${copy.id}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const forkBtn = document.getElementById('fork-btn');
+    forkBtn.addEventListener('click', () => {
+        const newRootId = document.getElementById('fork-root-id').value.trim();
+        const recordSource = document.getElementById('fork-record-source').checked;
+        
+        if (!newRootId) {
+            showMessage('New root ID is required', 'error');
+            return;
+        }
+        
+        try {
+            currentDocmem.fork(root.id, newRootId, recordSource);
+            showMessage(`Forked ${root.id} to ${newRootId}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const lockContextBtn = document.getElementById('lock-context-btn');
+    lockContextBtn.addEventListener('click', () => {
+        const schema = document.getElementById('context-schema').value.trim();
+        
+        if (!schema) {
+            showMessage('Context schema is required', 'error');
+            return;
+        }
+        
+        try {
+            currentDocmem.lock_context(root.id, schema);
+            showMessage(`Context schema locked on ${root.id}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const unlockContextBtn = document.getElementById('unlock-context-btn');
+    unlockContextBtn.addEventListener('click', () => {
+        try {
+            currentDocmem.unlock_context(root.id);
+            showMessage(`Context schema removed from ${root.id}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const stickBtn = document.getElementById('stick-btn');
+    stickBtn.addEventListener('click', () => {
+        const startId = document.getElementById('sticky-start-id').value.trim();
+        const endId = document.getElementById('sticky-end-id').value.trim();
+        
+        if (!startId || !endId) {
+            showMessage('Start and end node IDs are required', 'error');
+            return;
+        }
+        
+        try {
+            const groupId = currentDocmem.stick(startId, endId);
+            showMessage(`Sticky group created: ${groupId}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const unstickBtn = document.getElementById('unstick-btn');
+    unstickBtn.addEventListener('click', () => {
+        const nodeId = document.getElementById('sticky-start-id').value.trim();
+        
+        if (!nodeId) {
+            showMessage('Start Node ID of a group member is required', 'error');
+            return;
+        }
+        
+        try {
+            const members = currentDocmem.unstick(nodeId);
+            showMessage(`Released ${members.length} nodes from their sticky group`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    const unsummarizeBtn = document.getElementById('unsummarize-btn');
+    unsummarizeBtn.addEventListener('click', () => {
+        const summaryId = document.getElementById('unsummarize-id').value.trim();
+        const keepRecord = document.getElementById('unsummarize-keep').checked;
+        
+        if (!summaryId) {
+            showMessage('Summary node ID is required', 'error');
+            return;
+        }
+        
+        try {
+            const restored = currentDocmem.remove_summary(summaryId, keepRecord);
+            showMessage(`Restored ${restored.length} nodes from summary ${summaryId}`, 'success');
+            renderDocmem();
+        } catch (error) {
+            showMessage('Error: ' + error.message, 'error');
+        }
+    });
+
+    document.querySelectorAll('.trash-restore-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const nodeId = btn.getAttribute('data-node-id');
+            try {
+                currentDocmem.restore(nodeId);
+                showMessage(`Restored ${nodeId} from the trash`, 'success');
+                renderDocmem();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        });
+    });
+
+    document.querySelectorAll('.trash-purge-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const nodeId = btn.getAttribute('data-node-id');
+            if (!confirm(`Permanently delete ${nodeId} and its subtree?`)) {
+                return;
+            }
+            try {
+                currentDocmem.purge(nodeId);
+                showMessage(`Purged ${nodeId}`, 'success');
+                renderDocmem();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        });
+    });
+
+    const emptyTrashBtn = document.getElementById('empty-trash-btn');
+    if (emptyTrashBtn) {
+        emptyTrashBtn.addEventListener('click', () => {
+            if (!confirm(`Permanently delete everything in the trash of ${root.id}?`)) {
+                return;
+            }
+            try {
+                const purged = currentDocmem.purge(root.id);
+                showMessage(`Purged ${purged.length} trashed subtrees`, 'success');
+                renderDocmem();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        });
+    }
 }
 
-function renderTree(node, container, depth = 0) {
+/**
+ * Render a node and its expanded subtree into container
+ * @param {Map|null} backlinksByNode - Docmem.backlinksInDocmem() of the tree's docmem; looked up once per render when null
+ */
+function renderTree(node, container, depth = 0, backlinksByNode = null) {
+    if (!backlinksByNode) {
+        backlinksByNode = Docmem.backlinksInDocmem(Docmem.getRootId(node.id));
+    }
     const nodeDiv = document.createElement('div');
     nodeDiv.className = `docmem-node ${node.contextType}`;
     
@@ -324,16 +882,23 @@ function renderTree(node, container, depth = 0) {
     const hasChildren = children.length > 0;
     // Expand root node (no parent) or nodes at depth 0, or nodes with children
     const isExpanded = node.parentId === null || depth === 0 || hasChildren;
+    // One link per mentioning node, even when it mentions this node more than once
+    const backlinks = backlinksByNode.get(node.id) || [];
 
     nodeDiv.innerHTML = `
         <div class="docmem-node-header" data-node-id="${node.id}">
             ${hasChildren ? `<span class="docmem-expand-icon">${isExpanded ? '▼' : '▶'}</span>` : '<span class="docmem-expand-icon"> </span>'}
             <span class="docmem-node-type">${escapeHtml(node.contextType)} ${escapeHtml(node.contextName)}:${escapeHtml(node.contextValue)} (<span class="node-id-copy" data-node-id="${node.id}">${node.id}</span>)</span>
-            <span class="docmem-node-meta">(tokens: ${node.tokenCount}, order: ${node.order.toFixed(3)})</span>
+            <span class="docmem-node-meta">(tokens: ${node.tokenCount}, order: ${node.order.toFixed(3)}${node.copiedFrom ? `, copied from: ${escapeHtml(node.copiedFrom)}` : ''}${node.expiresAt ? `, expires: ${escapeHtml(node.expiresAt)}` : ''})</span>
+            ${node.priority !== 'normal' ? `<span class="docmem-node-priority ${escapeHtml(node.priority)}">${escapeHtml(node.priority)}</span>` : ''}
+            ${node.stickyGroup ? `<span class="docmem-node-sticky" title="Sticky group ${escapeHtml(node.stickyGroup)}">sticky ${escapeHtml(node.stickyGroup)}</span>` : ''}
             <button class="node-action-btn" data-action="append" data-node-id="${node.id}" title="Append child">+</button>
             <button class="node-action-btn" data-action="update" data-node-id="${node.id}" title="Update content">✎</button>
         </div>
-        ${node.text ? `<div class="docmem-node-text">${escapeHtml(node.text)}</div>` : ''}
+        ${node.text ? `<div class="docmem-node-text">${linkifyReferences(node.text)}</div>` : ''}
+        ${backlinks.length > 0 ? `<div class="docmem-node-backlinks">Referenced by: ${backlinks.map(b =>
+            `<a href="#" class="node-ref-link" data-node-id="${escapeHtml(b.node.id)}" title="${escapeHtml(b.node.contextType)} ${escapeHtml(b.node.contextName)}:${escapeHtml(b.node.contextValue)}">@${escapeHtml(b.rootId)}/${escapeHtml(b.node.id)}</a>`
+        ).join(' ')}</div>` : ''}
         ${isExpanded && hasChildren ? `<div class="docmem-node-children" data-parent-id="${node.id}"></div>` : ''}
     `;
 
@@ -350,6 +915,20 @@ function renderTree(node, container, depth = 0) {
         });
     });
 
+    // Add click handlers to follow @root-id/node-id references in the content and backlinks
+    nodeDiv.querySelectorAll(':scope > .docmem-node-text .node-ref-link, :scope > .docmem-node-backlinks .node-ref-link').forEach(link => {
+        link.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const nodeId = link.getAttribute('data-node-id');
+            const rootId = Docmem.getRootId(nodeId);
+            if (!rootId) {
+                showMessage(`Referenced node not found: ${link.textContent}`, 'error');
+                return;
+            }
+            await jumpToNode(rootId, nodeId);
+        });
+    });
+
     // Add click handler to copy node ID
     const nodeIdSpan = nodeDiv.querySelector('.node-id-copy');
     if (nodeIdSpan) {
@@ -378,7 +957,7 @@ function renderTree(node, container, depth = 0) {
                     if (childrenContainer.children.length === 0) {
                         const sortedChildren = [...children].sort((a, b) => a.order - b.order);
                         sortedChildren.forEach(child => {
-                            renderTree(child, childrenContainer, depth + 1);
+                            renderTree(child, childrenContainer, depth + 1, backlinksByNode);
                         });
                     }
                 }
@@ -388,38 +967,81 @@ function renderTree(node, container, depth = 0) {
         if (isExpanded && childrenContainer) {
             const sortedChildren = [...children].sort((a, b) => a.order - b.order);
             sortedChildren.forEach(child => {
-                renderTree(child, childrenContainer, depth + 1);
+                renderTree(child, childrenContainer, depth + 1, backlinksByNode);
             });
         }
     }
 }
 
-function renderExpanded(nodes) {
+/**
+ * Render expanded or serialized content
+ * @param {Array<{node: Node, collapsed: boolean, hiddenNodes: number}>} entries - In document order
+ */
+function renderExpanded(entries) {
     const container = document.getElementById('expanded-content');
     container.style.display = 'block';
     
     let totalTokens = 0;
     container.innerHTML = `
-        <h3>Expanded Content (${nodes.length} nodes)</h3>
+        <h3>Expanded Content (${entries.length} nodes)</h3>
         <div id="expanded-nodes"></div>
     `;
 
     const nodesContainer = document.getElementById('expanded-nodes');
     
-    nodes.forEach(node => {
+    entries.forEach(({ node, collapsed, hiddenNodes }) => {
         totalTokens += node.tokenCount;
         const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'expanded-node';
+        nodeDiv.className = collapsed ? 'expanded-node collapsed' : 'expanded-node';
+        const collapsedMarker = collapsed
+            ? `<div class="expanded-collapsed-marker">Collapsed: ${hiddenNodes} nodes hidden below ${escapeHtml(node.id)}</div>`
+            : '';
         nodeDiv.innerHTML = `
             <div class="docmem-node-type">${escapeHtml(node.contextType)} ${escapeHtml(node.contextName)}:${escapeHtml(node.contextValue)}</div>
             <div class="docmem-node-text">${escapeHtml(node.text)}</div>
             <div class="docmem-node-meta">Tokens: ${node.tokenCount} | Order: ${node.order.toFixed(3)}</div>
+            ${collapsedMarker}
         `;
         nodesContainer.appendChild(nodeDiv);
     });
 
     const header = container.querySelector('h3');
-    header.textContent = `Expanded Content (${nodes.length} nodes, ${totalTokens} total tokens)`;
+    header.textContent = `Expanded Content (${entries.length} nodes, ${totalTokens} total tokens)`;
+}
+
+/**
+ * Render subtree statistics from Docmem.stats
+ */
+function renderStats(stats) {
+    const panel = document.getElementById('stats-panel');
+    const coverage = stats.summaryCoverage;
+    const levelRows = stats.levels.map(level =>
+        `<tr><td>${level.depth}</td><td>${level.nodes}</td><td>${level.tokens}</td></tr>`
+    ).join('');
+    const typeRows = Object.entries(stats.contextTypes)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `<tr><td>${escapeHtml(type)}</td><td>${count}</td></tr>`)
+        .join('');
+
+    panel.innerHTML = `
+        <div class="stats-summary">
+            <div><strong>${escapeHtml(stats.nodeId)}</strong>: ${stats.totalNodes} nodes, ${stats.totalTokens} tokens, max depth ${stats.maxDepth}</div>
+            <div>Widest parent: ${stats.widestParent ? `${escapeHtml(stats.widestParent.id)} (${stats.widestParent.children} children)` : 'none'}</div>
+            <div>Oldest update: ${escapeHtml(stats.oldest.updatedAt)} (${escapeHtml(stats.oldest.id)})</div>
+            <div>Newest update: ${escapeHtml(stats.newest.updatedAt)} (${escapeHtml(stats.newest.id)})</div>
+            <div>Summary coverage: ${(coverage.ratio * 100).toFixed(1)}% of ${coverage.leaves} leaves, ${coverage.summaries} summaries (${coverage.summaryTokens} tokens)</div>
+        </div>
+        <div class="stats-tables">
+            <table class="stats-table">
+                <thead><tr><th>Depth</th><th>Nodes</th><th>Tokens</th></tr></thead>
+                <tbody>${levelRows}</tbody>
+            </table>
+            <table class="stats-table">
+                <thead><tr><th>Context type</th><th>Nodes</th></tr></thead>
+                <tbody>${typeRows}</tbody>
+            </table>
+        </div>
+    `;
 }
 
 function handleNodeAction(action, nodeId) {
@@ -432,6 +1054,9 @@ function handleNodeAction(action, nodeId) {
             const node = currentDocmem.find(nodeId);
             if (node) {
                 document.getElementById('update-node-id').value = nodeId;
+                // Remember what the node looked like so the update can detect concurrent edits
+                document.getElementById('update-node-id').dataset.expectedHash = node.computeHash();
+                document.getElementById('update-node-id').dataset.expectedNodeId = nodeId;
                 document.getElementById('update-content').value = node.text;
                 document.getElementById('update-node-id').scrollIntoView({ behavior: 'smooth', block: 'center' });
             }
@@ -439,6 +1064,24 @@ function handleNodeAction(action, nodeId) {
     }
 }
 
+/**
+ * Escape content for display and turn references to existing nodes into links
+ */
+function linkifyReferences(text) {
+    let html = '';
+    let last = 0;
+    for (const ref of Docmem.findReferences(text)) {
+        // Plain @tags that are not node ids stay as text
+        if (!Docmem.getRootId(ref.nodeId)) {
+            continue;
+        }
+        html += escapeHtml(text.substring(last, ref.index));
+        html += `<a href="#" class="node-ref-link" data-node-id="${escapeHtml(ref.nodeId)}">${escapeHtml(ref.reference)}</a>`;
+        last = ref.index + ref.reference.length;
+    }
+    return html + escapeHtml(text.substring(last));
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -489,7 +1132,16 @@ function renderRootsList() {
 }
 
 function initView() {
-    // View tab initialization is handled by renderView()
+    // View tab content is rendered by renderView(); only the diff controls need wiring
+    document.getElementById('view-diff-btn').addEventListener('click', async () => {
+        const aId = document.getElementById('view-diff-a').value.trim();
+        const bId = document.getElementById('view-diff-b').value.trim();
+        if (!aId || !bId) {
+            showMessage('Both node IDs are required to diff', 'error');
+            return;
+        }
+        await renderViewDiff(aId, bId);
+    });
 }
 
 function renderView() {
@@ -526,6 +1178,7 @@ function renderView() {
                 
                 // Load and display serialized content
                 const rootId = link.getAttribute('data-root-id');
+                document.getElementById('view-diff-a').value = rootId;
                 renderViewContent(rootId);
             });
         });
@@ -577,3 +1230,61 @@ async function renderViewContent(rootId) {
     }
 }
 
+/**
+ * Show the diff of two subtrees side by side on the View tab
+ */
+async function renderViewDiff(aRef, bRef) {
+    const contentPanel = document.getElementById('view-content-panel');
+    
+    try {
+        const aId = Docmem.resolveReference(aRef);
+        const bId = Docmem.resolveReference(bRef);
+        const rootId = Docmem.getRootId(aId);
+        if (!rootId) {
+            throw new Error(`Node ${aId} not found`);
+        }
+        const docmem = new Docmem(rootId);
+        await docmem.ready();
+        const diff = docmem.diff(aId, bId);
+        
+        const renderLines = (lines, side) => lines
+            .filter(line => line.op === 'same' || line.op === side)
+            .map(line => `<div class="diff-line ${line.op}">${escapeHtml(line.text) || '&nbsp;'}</div>`)
+            .join('');
+        const renderCell = (node, lines, side) => {
+            if (!node) {
+                return '<td class="diff-cell empty"></td>';
+            }
+            const text = lines ? renderLines(lines, side) : `<div class="diff-line">${escapeHtml(node.text)}</div>`;
+            return `
+                <td class="diff-cell">
+                    <div class="diff-node-header">${escapeHtml(node.id)} ${escapeHtml(node.contextType)} ${escapeHtml(node.contextName)}:${escapeHtml(node.contextValue)}</div>
+                    ${text}
+                </td>
+            `;
+        };
+        const textChanges = new Map(diff.textChanged.map(t => [t.b.id, t.lines]));
+        
+        const rows = diff.rows.map(row => {
+            const lines = row.b ? textChanges.get(row.b.id) : null;
+            return `
+                <tr class="diff-row ${row.changes.join(' ')}">
+                    ${renderCell(row.a, lines, 'removed')}
+                    <td class="diff-changes">${escapeHtml(row.changes.join(', '))}</td>
+                    ${renderCell(row.b, lines, 'added')}
+                </tr>
+            `;
+        }).join('');
+        
+        contentPanel.innerHTML = `
+            <div class="diff-summary">
+                ${escapeHtml(aId)} → ${escapeHtml(bId)}:
+                ${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved,
+                ${diff.reordered.length} reordered, ${diff.recontexted.length} context changed, ${diff.textChanged.length} text changed
+            </div>
+            <table class="diff-table">${rows}</table>
+        `;
+    } catch (error) {
+        contentPanel.innerHTML = `<div class="view-error">Error computing diff: ${escapeHtml(error.message)}</div>`;
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Tokenizer registry - Token counting per model family
+ *
+ * Node token counts come from the active tokenizer; the chat switches it to the family of the
+ * selected model. Any object with the same shape can be added with registerTokenizer():
+ *   - name: string identifying the tokenizer
+ *   - count(text): number of tokens in text
+ * Families are matched against model ids (e.g. "openai/gpt-5-chat") by pattern, in
+ * registration order; models no family claims use DEFAULT_TOKENIZER_FAMILY.
+ */
+
+/**
+ * cl100k tokenizer from the gpt-tokenizer script, or tiktoken when that is loaded instead
+ * Falls back to characters / 4 when neither is available.
+ */
+class GptTokenizer {
+    constructor() {
+        this.name = 'gpt-cl100k';
+    }
+
+    count(text) {
+        if (!text) return 0;
+        try {
+            // Try gpt-tokenizer from CDN - check various possible global names
+            if (typeof gptTokenizer !== 'undefined') {
+                if (typeof gptTokenizer.encode === 'function') {
+                    return gptTokenizer.encode(text).length;
+                } else if (typeof gptTokenizer === 'function') {
+                    // If it's a constructor, instantiate it
+                    const tokenizer = new gptTokenizer();
+                    if (tokenizer && typeof tokenizer.encode === 'function') {
+                        return tokenizer.encode(text).length;
+                    }
+                }
+            }
+            if (typeof GPTTokenizer !== 'undefined') {
+                if (typeof GPTTokenizer.encode === 'function') {
+                    return GPTTokenizer.encode(text).length;
+                } else if (typeof GPTTokenizer === 'function') {
+                    const tokenizer = new GPTTokenizer();
+                    if (tokenizer && typeof tokenizer.encode === 'function') {
+                        return tokenizer.encode(text).length;
+                    }
+                }
+            }
+            if (typeof window !== 'undefined') {
+                if (window.gptTokenizer && typeof window.gptTokenizer.encode === 'function') {
+                    return window.gptTokenizer.encode(text).length;
+                }
+            }
+            // Try tiktoken
+            if (typeof tiktoken !== 'undefined') {
+                const encoding = tiktoken.get_encoding('cl100k_base');
+                return encoding.encode(text).length;
+            }
+            // Fallback to approximation
+            console.warn('Tokenizer not available, using approximation (characters / 4)');
+            return Math.ceil(text.length / 4);
+        } catch (e) {
+            console.warn('Tokenizer error, using approximation:', e);
+            return Math.ceil(text.length / 4);
+        }
+    }
+}
+
+/**
+ * Fixed characters-per-token estimate, for models without a tokenizer in the browser
+ */
+class ApproximateTokenizer {
+    constructor(charsPerToken = 4) {
+        this.charsPerToken = charsPerToken;
+        this.name = `approx-${charsPerToken}`;
+    }
+
+    count(text) {
+        if (!text) return 0;
+        return Math.ceil(text.length / this.charsPerToken);
+    }
+}
+
+// Family used for models no registered family claims, and at startup
+const DEFAULT_TOKENIZER_FAMILY = 'gpt';
+
+// family -> { tokenizer, modelPattern }
+const tokenizerFamilies = new Map();
+
+let activeTokenizerFamily = DEFAULT_TOKENIZER_FAMILY;
+
+/**
+ * Add or replace the tokenizer for a model family
+ * @param {string} family - Registry key, used by docmem-recount
+ * @param {{name: string, count: function(string): number}} tokenizer
+ * @param {RegExp|null} modelPattern - Model ids this family claims; null to only use it by name
+ */
+function registerTokenizer(family, tokenizer, modelPattern = null) {
+    if (!tokenizer || typeof tokenizer.count !== 'function') {
+        throw new Error(`Tokenizer for ${family} must have a count(text) method`);
+    }
+    tokenizerFamilies.set(family, { tokenizer, modelPattern });
+}
+
+/**
+ * Tokenizer registered for a family
+ * @throws {Error} - When no tokenizer is registered for the family
+ */
+function getTokenizer(family) {
+    const entry = tokenizerFamilies.get(family);
+    if (!entry) {
+        throw new Error(`Unknown tokenizer ${family} (available: ${[...tokenizerFamilies.keys()].join(', ')})`);
+    }
+    return entry.tokenizer;
+}
+
+function hasTokenizer(family) {
+    return tokenizerFamilies.has(family);
+}
+
+/**
+ * Family whose pattern matches a model id, or DEFAULT_TOKENIZER_FAMILY
+ */
+function tokenizerFamilyForModel(modelId) {
+    for (const [family, { modelPattern }] of tokenizerFamilies) {
+        if (modelPattern && modelId && modelPattern.test(modelId)) {
+            return family;
+        }
+    }
+    return DEFAULT_TOKENIZER_FAMILY;
+}
+
+function setActiveTokenizer(family) {
+    getTokenizer(family);
+    activeTokenizerFamily = family;
+}
+
+function getActiveTokenizerFamily() {
+    return activeTokenizerFamily;
+}
+
+/**
+ * Count tokens with the active tokenizer
+ */
+function countTokens(text) {
+    return getTokenizer(activeTokenizerFamily).count(text);
+}
+
+// Providers without a tokenizer in the browser are estimated with their typical characters per token
+registerTokenizer('gpt', new GptTokenizer(), /(^|\/)(gpt|o\d)/i);
+registerTokenizer('claude', new ApproximateTokenizer(3.5), /(^anthropic\/|claude)/i);
+registerTokenizer('gemini', new ApproximateTokenizer(4), /(^google\/|gemini)/i);
+registerTokenizer('deepseek', new ApproximateTokenizer(3.5), /deepseek/i);
+registerTokenizer('kimi', new ApproximateTokenizer(4), /(^moonshotai\/|kimi)/i);
+registerTokenizer('mistral', new ApproximateTokenizer(3.5), /(^mistralai\/|mistral|pixtral|(^|\/)mn-)/i);
+registerTokenizer('llama', new ApproximateTokenizer(4), /(llama|nemotron|mythomax)/i);
+registerTokenizer('approx', new ApproximateTokenizer(4));
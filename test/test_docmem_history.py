@@ -0,0 +1,117 @@
+"""
+Unit tests for docmem-history and docmem-revert functionality.
+
+This test file documents the expected behavior of the docmem-history and docmem-revert commands.
+Since the implementation is client-side JavaScript running in a browser environment,
+these tests serve as specification tests. For full integration testing, a browser
+automation framework (e.g., Playwright, Selenium) would be required.
+
+The docmem-history command should:
+1. List every revision of a node, oldest first
+2. Record creation as revision 1
+3. Record each content, context, parent and order change with a timestamp and origin
+
+The docmem-revert command should:
+1. Restore content, context, parent and order from the given revision
+2. Record the revert itself as a new revision
+3. Throw an error if the node or revision is not found
+"""
+
+import pytest
+
+
+class TestDocmemHistory:
+    """Test cases for docmem-history command."""
+
+    def test_history_requires_node_id(self):
+        """
+        Test that docmem-history requires a node_id parameter.
+
+        Expected: Error message indicating node_id is required.
+        """
+        # Command: docmem-history
+        # Expected: Error "docmem-history requires <node_id>"
+        pass
+
+    def test_history_records_creation(self):
+        """
+        Test that a newly appended node has a single create revision.
+
+        Expected: One revision with revision=1 and changeType=create.
+        """
+        # Setup: docmem-append-child root type name value "hello"
+        # Command: docmem-history node123
+        # Expected: [{ revision: 1, changeType: "create", text: "hello", ... }]
+        pass
+
+    def test_history_records_each_change(self):
+        """
+        Test that content, context and move operations each add a revision.
+
+        Expected: Revisions with changeType content, context and move, in order.
+        """
+        # Setup: update content, update context, then move the node
+        # Command: docmem-history node123
+        # Expected: changeTypes [create, content, context, move]
+        pass
+
+    def test_history_records_origin(self):
+        """
+        Test that revisions made by agent commands are attributed to the agent.
+
+        Expected: origin is "agent" for changes made through chat # Run commands.
+        """
+        pass
+
+
+class TestDocmemRevert:
+    """Test cases for docmem-revert command."""
+
+    def test_revert_requires_node_id_and_revision(self):
+        """
+        Test that docmem-revert requires both parameters.
+
+        Expected: Error message indicating both are required.
+        """
+        # Command: docmem-revert node123
+        # Expected: Error "docmem-revert requires <node_id> <revision>"
+        pass
+
+    def test_revert_rejects_non_numeric_revision(self):
+        """
+        Test that docmem-revert validates the revision number.
+
+        Expected: Error message indicating revision must be a number.
+        """
+        # Command: docmem-revert node123 latest
+        # Expected: Error "revision must be a number, got: latest"
+        pass
+
+    def test_revert_restores_content(self):
+        """
+        Test that reverting restores the original text and recounts tokens.
+
+        Expected: Node text equals the text of the chosen revision.
+        """
+        # Setup: create node with "original", update content to "bad edit"
+        # Command: docmem-revert node123 1
+        # Expected: node text is "original", token_count recalculated
+        pass
+
+    def test_revert_is_recorded(self):
+        """
+        Test that a revert adds a new revision rather than deleting history.
+
+        Expected: Latest revision has changeType revert.
+        """
+        pass
+
+    def test_revert_throws_error_for_unknown_revision(self):
+        """
+        Test that docmem-revert throws an error for a revision that does not exist.
+
+        Expected: Error message indicating revision not found.
+        """
+        # Command: docmem-revert node123 99
+        # Expected: Error "Revision 99 not found for node node123"
+        pass
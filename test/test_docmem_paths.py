@@ -0,0 +1,110 @@
+"""
+Unit tests for node references by context-label path.
+
+This test file documents how commands resolve node references such as
+project/section:summer/feature:sunshine. Since the implementation is client-side JavaScript
+running in a browser environment, these tests serve as specification tests. For full
+integration testing, a browser automation framework (e.g., Playwright, Selenium) would be required.
+
+A path should:
+1. Start at a docmem root
+2. Resolve each context-type:context-value segment to the single child with that label
+3. Resolve a plain node-id segment to a node below the previous one
+4. Be accepted wherever a node id is, including docmem-search, docmem-tags and docmem-backlinks
+"""
+
+import pytest
+
+
+class TestDocmemPathResolution:
+    """Test cases for resolving paths to node ids."""
+
+    def test_path_resolves_labels(self):
+        """
+        Test that a path of labels resolves to the node it names.
+
+        Expected: The id of the sunshine feature node.
+        """
+        # Setup: project root, child section:summer, grandchild feature:sunshine
+        # Command: docmem-find project/section:summer/feature:sunshine
+        # Expected: the feature node
+        pass
+
+    def test_path_with_unknown_label(self):
+        """
+        Test that a segment matching no child lists the available labels.
+
+        Expected: Error naming the missing label and the children that exist.
+        """
+        # Command: docmem-find project/section:autumn
+        # Expected: Error "Path project/section:autumn not found: no child section:autumn under project
+        #           (children are section:summer, section:winter)"
+        pass
+
+    def test_path_with_ambiguous_label(self):
+        """
+        Test that a segment matching several children fails with their ids.
+
+        Expected: Error listing the ids of the matching children.
+        """
+        # Setup: two children labelled section:summer under project
+        # Command: docmem-find project/section:summer
+        # Expected: Error listing both node ids
+        pass
+
+    def test_path_node_id_must_be_below(self):
+        """
+        Test that a node-id segment must be below the previous node.
+
+        Expected: Error saying the node is not under the walked path.
+        """
+        # Command: docmem-find project/section:winter/<id of the sunshine feature>
+        # Expected: Error "Node <id> is not under project/section:winter in path ..."
+        pass
+
+
+class TestDocmemPathCommands:
+    """Test cases for paths in commands that take a scope or a tag."""
+
+    def test_search_scope_accepts_path(self):
+        """
+        Test that docmem-search searches the subtree a path names.
+
+        Expected: Only matches under section:summer.
+        """
+        # Setup: "mentions" in the sunshine feature and in section:winter
+        # Command: docmem-search project/section:summer mentions
+        # Expected: one result, the sunshine feature, with ancestors project and section:summer
+        pass
+
+    def test_tags_accepts_path(self):
+        """
+        Test that docmem-tags lists the mentions in the subtree a path names.
+
+        Expected: Only the tags mentioned under section:summer.
+        """
+        # Setup: @sun under section:summer, @snow under section:winter
+        # Command: docmem-tags project/section:summer
+        # Expected: [{ tag: "@sun", count: 2, ... }] without @snow
+        pass
+
+    def test_backlinks_accepts_path(self):
+        """
+        Test that docmem-backlinks resolves a path to the node it names.
+
+        Expected: The nodes mentioning the sunshine feature.
+        """
+        # Setup: a note containing @project/<id of the sunshine feature>
+        # Command: docmem-backlinks project/section:summer/feature:sunshine
+        # Expected: [{ id: <note id>, mention: "@project/<feature id>", ... }]
+        pass
+
+    def test_backlinks_tag_without_slash(self):
+        """
+        Test that a single word is still looked up as a tag.
+
+        Expected: The nodes mentioning @sun.
+        """
+        # Command: docmem-backlinks sun
+        # Expected: both nodes that mention @sun
+        pass
@@ -0,0 +1,98 @@
+"""
+Unit tests for docmem-undo and docmem-redo functionality.
+
+This test file documents the expected behavior of the docmem-undo and docmem-redo commands.
+Since the implementation is client-side JavaScript running in a browser environment,
+these tests serve as specification tests. For full integration testing, a browser
+automation framework (e.g., Playwright, Selenium) would be required.
+
+The docmem-undo command should:
+1. Restore the nodes changed by the latest operation in the docmem
+2. Throw an error when the docmem has nothing to undo
+3. Start from an empty history when the docmem root was deleted and created again
+
+The docmem-redo command should:
+1. Re-apply the operation most recently undone
+2. Be discarded by any new operation on the docmem
+"""
+
+import pytest
+
+
+class TestDocmemUndo:
+    """Test cases for docmem-undo command."""
+
+    def test_undo_requires_root_id(self):
+        """
+        Test that docmem-undo requires a root_id parameter.
+
+        Expected: Error message indicating root_id is required.
+        """
+        # Command: docmem-undo
+        # Expected: Error "docmem-undo requires <root_id>"
+        pass
+
+    def test_undo_restores_deleted_subtree(self):
+        """
+        Test that undoing a delete brings the subtree back with its ids.
+
+        Expected: The deleted node and its children are back under their parent.
+        """
+        # Setup: docmem-append-child root type name value "parent", append a child, docmem-delete parent
+        # Command: docmem-undo root
+        # Expected: parent and child are back with the same ids
+        pass
+
+    def test_undo_with_empty_history(self):
+        """
+        Test that docmem-undo throws an error when there is nothing to undo.
+
+        Expected: Error message naming the docmem.
+        """
+        # Command: docmem-undo fresh-root
+        # Expected: Error "Nothing to undo in docmem fresh-root"
+        pass
+
+    def test_undo_after_chat_session_recreated(self):
+        """
+        Test that recreating a chat session discards the undo history of the old session.
+
+        Deleting the old root is permanent; its step must not stay on top of the new session's
+        history, where undoing it would re-insert a root id that exists again.
+
+        Expected: Undo only reaches operations made after the session was recreated.
+        """
+        # Setup: createChatSession for session-1, append a user message,
+        #        createChatSession for session-1 again
+        # Command: docmem-undo session-1
+        # Expected: Error "Nothing to undo in docmem session-1" (not "UNIQUE constraint failed: nodes.id")
+        # Setup: append a user message
+        # Command: docmem-undo session-1
+        # Expected: "docmem-undo undid append_child in session-1"; the message is removed
+        pass
+
+
+class TestDocmemRedo:
+    """Test cases for docmem-redo command."""
+
+    def test_redo_reapplies_undone_step(self):
+        """
+        Test that redo re-applies the step most recently undone.
+
+        Expected: Node content is the edited text again.
+        """
+        # Setup: docmem-update-content node123 "edited", docmem-undo root
+        # Command: docmem-redo root
+        # Expected: node text is "edited"
+        pass
+
+    def test_new_operation_discards_redo(self):
+        """
+        Test that a new operation discards the redo steps.
+
+        Expected: Error message indicating nothing to redo.
+        """
+        # Setup: update content, docmem-undo root, then update content again
+        # Command: docmem-redo root
+        # Expected: Error "Nothing to redo in docmem root"
+        pass